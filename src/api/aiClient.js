@@ -1,23 +1,19 @@
 /**
  * AI Client for Email Copilot Extension
- * Supports both Google Gemini and OpenAI APIs
+ * Supports every provider in the provider registry
  */
 
+import { getProvider, getProviderSettingKeys, requestCompletion } from './providers/index.js';
+
 // Default configurations
 const DEFAULT_CONFIG = {
-  provider: 'gemini', // 'gemini' or 'openai'
+  provider: 'gemini', // any registered provider id
   model: 'gemini-1.5-flash',
   maxTokens: 100,
   temperature: 0.7,
   timeout: 10000 // 10 seconds
 };
 
-// API endpoints
-const ENDPOINTS = {
-  gemini: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
-  openai: 'https://api.openai.com/v1/chat/completions'
-};
-
 /**
  * Email Copilot AI Client
  */
@@ -47,8 +43,9 @@ class AIClient {
    */
   async getStoredSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['aiProvider', 'apiKey', 'model'], (result) => {
+      chrome.storage.sync.get(getProviderSettingKeys(), (result) => {
         resolve({
+          ...result,
           provider: result.aiProvider || 'gemini',
           apiKey: result.apiKey || '',
           model: result.model || 'gemini-1.5-flash'
@@ -66,12 +63,7 @@ class AIClient {
   async getEmailCompletion(context, partialText) {
     try {
       const prompt = this.buildEmailPrompt(context, partialText);
-      
-      if (this.config.provider === 'gemini') {
-        return await this.callGeminiAPI(prompt);
-      } else {
-        return await this.callOpenAIAPI(prompt);
-      }
+      return await this.callProviderAPI(prompt);
     } catch (error) {
       console.error('Failed to get email completion:', error);
       return null;
@@ -100,84 +92,29 @@ Completion:`;
   }
 
   /**
-   * Call Google Gemini API
+   * Call the configured provider's API
    */
-  async callGeminiAPI(prompt) {
-    if (!this.config.apiKey) {
-      throw new Error('Gemini API key not configured');
-    }
-
-    const response = await fetch(`${ENDPOINTS.gemini}?key=${this.config.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          maxOutputTokens: this.config.maxTokens,
-          temperature: this.config.temperature,
-          stopSequences: ['\n\n', 'Context:', 'Partial text:']
-        }
-      }),
-      signal: AbortSignal.timeout(this.config.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-      return this.cleanCompletion(data.candidates[0].content.parts[0].text);
-    }
-    
-    return null;
-  }
+  async callProviderAPI(prompt) {
+    const provider = getProvider(this.config.provider);
+    const providerConfig = provider.configFromSettings(this.config);
 
-  /**
-   * Call OpenAI API
-   */
-  async callOpenAIAPI(prompt) {
-    if (!this.config.apiKey) {
-      throw new Error('OpenAI API key not configured');
+    if (provider.requiresApiKey && !providerConfig.apiKey) {
+      throw new Error(`${provider.label} API key not configured`);
     }
 
-    const response = await fetch(ENDPOINTS.openai, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.config.model || 'gpt-4',
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        max_tokens: this.config.maxTokens,
+    const text = await requestCompletion(
+      provider,
+      providerConfig,
+      {
+        prompt,
+        maxTokens: this.config.maxTokens,
         temperature: this.config.temperature,
         stop: ['\n\n', 'Context:', 'Partial text:']
-      }),
-      signal: AbortSignal.timeout(this.config.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
+      },
+      { timeout: this.config.timeout }
+    );
 
-    const data = await response.json();
-    
-    if (data.choices && data.choices[0]?.message?.content) {
-      return this.cleanCompletion(data.choices[0].message.content);
-    }
-    
-    return null;
+    return this.cleanCompletion(text);
   }
 
   /**
@@ -197,11 +134,9 @@ Completion:`;
    */
   async testConnection() {
     try {
-      const result = await this.getEmailCompletion(
-        'Testing email connection',
-        'Hello, this is a test'
-      );
-      return result !== null;
+      const provider = getProvider(this.config.provider);
+      const result = await provider.testConnection(provider.configFromSettings(this.config));
+      return result.success;
     } catch (error) {
       console.error('Connection test failed:', error);
       return false;
@@ -0,0 +1,96 @@
+/**
+ * Anthropic Claude provider for Email Copilot
+ */
+
+import { defineProvider, fetchProviderJson } from './base.js';
+
+const API_VERSION = '2023-06-01';
+
+function buildHeaders(config) {
+  return {
+    'x-api-key': config.apiKey,
+    'anthropic-version': API_VERSION,
+    // Required for requests carrying an extension origin
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+export default defineProvider({
+  id: 'anthropic',
+  name: 'Anthropic Claude',
+  label: 'Anthropic',
+  description: 'Natural, careful writing',
+  apiKeyUrl: 'https://console.anthropic.com/settings/keys',
+  defaultModel: 'claude-3-5-haiku-latest',
+  models: [
+    { value: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku (Recommended)' },
+    { value: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet' },
+    { value: 'claude-3-7-sonnet-latest', label: 'Claude 3.7 Sonnet' }
+  ],
+
+  buildRequest(config, params) {
+    const body = {
+      model: config.model || this.defaultModel,
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      messages: [{
+        role: 'user',
+        content: params.prompt
+      }]
+    };
+
+    // The Messages API rejects whitespace-only stop sequences such as '\n\n'
+    const stopSequences = (params.stop || []).filter(sequence => sequence.trim());
+    if (stopSequences.length) {
+      body.stop_sequences = stopSequences;
+    }
+    if (params.stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: buildHeaders(config),
+      body
+    };
+  },
+
+  async listModels(config) {
+    const data = await fetchProviderJson(
+      this,
+      'https://api.anthropic.com/v1/models?limit=100',
+      buildHeaders(config)
+    );
+
+    return (data.data || []).map(model => ({
+      value: model.id,
+      label: model.display_name || model.id
+    }));
+  },
+
+  // The Messages API returns a single candidate
+  parseResponse(data) {
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return [text];
+  },
+
+  parseStreamChunk(data) {
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      return [{ index: 0, text: data.delta.text }];
+    }
+    return [];
+  },
+
+  parseError(data) {
+    return data.error?.message || null;
+  },
+
+  // Streams report input tokens in message_start and the output so far in message_delta
+  parseUsage(data) {
+    const usage = data.usage || data.message?.usage;
+    return usage ? { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens } : null;
+  }
+});
@@ -0,0 +1,342 @@
+/**
+ * Provider base for Email Copilot
+ * Shared request, streaming and error handling for every AI backend
+ */
+
+import { parseRetryAfter } from '../retryPolicy.js';
+
+// Default request timeout in milliseconds
+export const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * @typedef {Object} ProviderConfig
+ * @property {string} apiKey - API key for the provider
+ * @property {string} [model] - Model identifier selected by the user
+ * @property {string} [baseUrl] - Endpoint base URL for self-hosted providers
+ * @property {Object<string, string>} [headers] - Extra request headers
+ */
+
+/**
+ * @typedef {Object} CompletionParams
+ * @property {string} prompt - Full prompt text
+ * @property {number} maxTokens - Maximum tokens to generate
+ * @property {number} temperature - Sampling temperature
+ * @property {string[]} [stop] - Stop sequences
+ * @property {number} [candidateCount] - Number of alternative completions to generate
+ * @property {boolean} [stream] - Whether to use the streaming endpoint
+ */
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} id - Identifier stored in settings (e.g. 'gemini')
+ * @property {string} name - Display name for the popup
+ * @property {string} label - Short name used in messages (e.g. 'Gemini')
+ * @property {string} description - One-line description for the popup
+ * @property {string|null} apiKeyUrl - Where users can create an API key
+ * @property {boolean} requiresApiKey - Whether requests fail without an API key
+ * @property {string} apiKeySetting - Storage key holding the provider's API key
+ * @property {string[]} settingKeys - Extra storage keys the provider reads its config from
+ * @property {number} maxCandidates - Most alternatives one request can return
+ * @property {string} defaultModel - Model used when none is selected
+ * @property {{value: string, label: string}[]} models - Known model options
+ * @property {(config: ProviderConfig, params: CompletionParams) => {url: string, headers: Object, body: Object}} buildRequest
+ * @property {(data: Object) => string[]} parseResponse - Extract candidate texts from a full response
+ * @property {(data: Object) => {index: number, text: string}[]} parseStreamChunk - Extract per-candidate text deltas from a stream event
+ * @property {(data: Object) => (string|null)} parseError - Extract an error message from an error body
+ * @property {(data: Object) => ({promptTokens?: number, completionTokens?: number}|null)} parseUsage - Extract
+ *   token counts from a response or stream event; counts in later events replace earlier ones
+ * @property {(config: ProviderConfig) => Promise<{success: boolean, response?: string, error?: string}>} testConnection
+ * @property {(config: ProviderConfig) => Promise<{value: string, label: string}[]>} listModels
+ * @property {(settings: Object) => ProviderConfig} configFromSettings - Build config from stored settings
+ */
+
+/**
+ * Fill in the default behaviour for a provider
+ * @param {Object} definition - Provider definition
+ * @returns {AIProvider} - Complete provider
+ */
+export function defineProvider(definition) {
+  const provider = {
+    requiresApiKey: true,
+    apiKeySetting: 'apiKey',
+    settingKeys: [],
+    maxCandidates: 1,
+
+    parseUsage() {
+      return null;
+    },
+
+    configFromSettings(settings) {
+      return { apiKey: settings.apiKey, model: settings.model };
+    },
+
+    async testConnection(config) {
+      try {
+        const response = await requestCompletion(provider, config, {
+          prompt: 'Complete this email: "Hello, I hope this message finds you"',
+          maxTokens: 50,
+          temperature: 0.7
+        });
+        return { success: true, response };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    async listModels() {
+      return provider.models;
+    },
+
+    ...definition
+  };
+
+  return provider;
+}
+
+/**
+ * Request a full completion
+ * @param {AIProvider} provider - Provider to call
+ * @param {ProviderConfig} config - Provider configuration
+ * @param {CompletionParams} params - Completion parameters
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {(usage: {promptTokens: number, completionTokens: number}) => void} [options.onUsage] - Receives
+ *   the token counts of a successful request; they are 0 if the provider didn't report them
+ * @returns {Promise<string>} - Raw completion text
+ */
+export async function requestCompletion(provider, config, params, options = {}) {
+  const [text] = await requestCandidates(provider, config, { ...params, candidateCount: 1 }, options);
+  return text;
+}
+
+/**
+ * Request one or more alternative completions
+ * @param {AIProvider} provider - Provider to call
+ * @param {ProviderConfig} config - Provider configuration
+ * @param {CompletionParams} params - Completion parameters
+ * @param {Object} [options] - Request options, as for requestCompletion
+ * @returns {Promise<string[]>} - Raw candidate texts, at least one
+ */
+export async function requestCandidates(provider, config, params, options = {}) {
+  const signal = options.signal || new AbortController().signal;
+
+  try {
+    const response = await sendRequest(provider, config, withCandidateLimit(provider, params, false), signal, options.timeout);
+    const data = await response.json();
+
+    const candidates = provider.parseResponse(data).filter(Boolean);
+    if (candidates.length) {
+      options.onUsage?.(addUsage(emptyUsage(), provider.parseUsage(data)));
+      return candidates;
+    }
+
+    const errorText = provider.parseError(data);
+    if (errorText) {
+      throw new Error(`${provider.label} API error: ${errorText}`);
+    }
+    throw new Error(`Invalid response from ${provider.label} API`);
+  } catch (error) {
+    throw normalizeRequestError(error, signal);
+  }
+}
+
+/**
+ * Stream a completion, reporting the raw text received so far
+ * @param {AIProvider} provider - Provider to call
+ * @param {ProviderConfig} config - Provider configuration
+ * @param {CompletionParams} params - Completion parameters
+ * @param {Object} options - Request options
+ * @param {(text: string) => void} options.onChunk - Called with the accumulated text
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {Function} [options.onUsage] - Receives the token counts, as for requestCompletion
+ * @returns {Promise<string>} - Raw completion text
+ */
+export async function streamCompletion(provider, config, params, options) {
+  const [text] = await streamCandidates(provider, config, { ...params, candidateCount: 1 }, options);
+  return text;
+}
+
+/**
+ * Stream one or more alternative completions. onChunk reports the first
+ * candidate as it grows; the others are returned once the stream ends.
+ * @param {AIProvider} provider - Provider to call
+ * @param {ProviderConfig} config - Provider configuration
+ * @param {CompletionParams} params - Completion parameters
+ * @param {Object} options - Request options, as for streamCompletion
+ * @returns {Promise<string[]>} - Raw candidate texts, at least one
+ */
+export async function streamCandidates(provider, config, params, options) {
+  const signal = options.signal || new AbortController().signal;
+
+  try {
+    const response = await sendRequest(provider, config, withCandidateLimit(provider, params, true), signal, options.timeout);
+
+    const texts = [];
+    const usage = emptyUsage();
+    await readEventStream(response, (data) => {
+      const errorText = provider.parseError(data);
+      if (errorText) {
+        throw new Error(`${provider.label} API error: ${errorText}`);
+      }
+      addUsage(usage, provider.parseUsage(data));
+
+      provider.parseStreamChunk(data).forEach(({ index, text }) => {
+        texts[index] = (texts[index] || '') + text;
+        if (index === 0) {
+          options.onChunk(texts[0]);
+        }
+      });
+    });
+
+    const candidates = texts.filter(Boolean);
+    if (!candidates.length) {
+      throw new Error(`Invalid response from ${provider.label} API`);
+    }
+    options.onUsage?.(usage);
+    return candidates;
+  } catch (error) {
+    throw normalizeRequestError(error, signal);
+  }
+}
+
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0 };
+}
+
+/**
+ * Take the counts a response or stream event reports, keeping the others
+ */
+function addUsage(usage, reported) {
+  if (Number.isFinite(reported?.promptTokens)) {
+    usage.promptTokens = reported.promptTokens;
+  }
+  if (Number.isFinite(reported?.completionTokens)) {
+    usage.completionTokens = reported.completionTokens;
+  }
+  return usage;
+}
+
+/**
+ * Clamp the candidate count to what the provider supports
+ */
+function withCandidateLimit(provider, params, stream) {
+  const candidateCount = Math.max(1, Math.min(params.candidateCount || 1, provider.maxCandidates));
+  return { ...params, candidateCount, stream };
+}
+
+/**
+ * GET a JSON resource from a provider API (e.g. its model list)
+ * @param {AIProvider} provider - Provider being queried
+ * @param {string} url - Resource URL
+ * @param {Object} [headers] - Request headers
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<Object>} - Parsed response body
+ */
+export async function fetchProviderJson(provider, url, headers = {}, timeout = DEFAULT_TIMEOUT) {
+  try {
+    const response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${provider.label} API error: ${await readErrorText(provider, response)}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    throw normalizeRequestError(error, new AbortController().signal);
+  }
+}
+
+/**
+ * Build and send a provider request, throwing the provider's error message on
+ * failure. The error carries the HTTP status and the Retry-After delay.
+ */
+async function sendRequest(provider, config, params, signal, timeout = DEFAULT_TIMEOUT) {
+  const { url, headers, body } = provider.buildRequest(config, params);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.any([signal, AbortSignal.timeout(timeout)])
+  });
+
+  if (!response.ok) {
+    const error = new Error(`${provider.label} API error: ${await readErrorText(provider, response)}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Extract the provider's error message from a failed response
+ */
+async function readErrorText(provider, response) {
+  try {
+    const errorData = await response.json();
+    return provider.parseError(errorData) || `HTTP ${response.status}`;
+  } catch {
+    return `HTTP ${response.status}`;
+  }
+}
+
+/**
+ * Read a server-sent events body, passing each JSON `data:` payload to onData
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {(data: Object) => void} onData - Called for every event payload
+ */
+export async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const processLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    onData(JSON.parse(payload));
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) processLine(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Distinguish a cancelled request from a timed out one
+ */
+function normalizeRequestError(error, signal) {
+  if (signal.aborted) {
+    return new Error('Request cancelled');
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new Error('Request timeout - check your internet connection');
+  }
+  return error;
+}
@@ -0,0 +1,116 @@
+/**
+ * Custom OpenAI-compatible provider for Email Copilot
+ * Covers local LLM servers (llama.cpp, Ollama), Azure OpenAI and company gateways
+ */
+
+import { defineProvider, fetchProviderJson } from './base.js';
+import openai from './openai.js';
+
+/**
+ * Parse "Header-Name: value" lines into a headers object
+ * @param {string} text - One header per line
+ * @returns {Object<string, string>} - Parsed headers
+ */
+export function parseHeaders(text) {
+  const headers = {};
+
+  (text || '').split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (name) {
+      headers[name] = value;
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Resolve the chat completions URL for a base URL. A URL that already points
+ * at chat/completions (e.g. Azure with ?api-version=) is used as-is.
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} - Chat completions endpoint
+ */
+export function resolveEndpoint(baseUrl) {
+  const url = (baseUrl || '').trim();
+  if (!url) {
+    throw new Error('Custom endpoint base URL not configured');
+  }
+
+  if (/\/chat\/completions(\?|$)/.test(url)) {
+    return url;
+  }
+  return `${url.replace(/\/+$/, '')}/chat/completions`;
+}
+
+/**
+ * Resolve the model list URL, which sits next to chat/completions
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} - Models endpoint
+ */
+function resolveModelsEndpoint(baseUrl) {
+  const url = new URL(resolveEndpoint(baseUrl));
+  url.pathname = url.pathname.replace(/\/chat\/completions$/, '/models');
+  return url.toString();
+}
+
+/**
+ * Authorization plus user-supplied headers
+ */
+function buildHeaders(config) {
+  const headers = {};
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+  return { ...headers, ...config.headers };
+}
+
+export default defineProvider({
+  id: 'custom',
+  name: 'Custom (OpenAI-compatible)',
+  label: 'Custom endpoint',
+  description: 'Local LLM servers, Azure, proxies',
+  apiKeyUrl: null,
+  requiresApiKey: false,
+  // Its own key, so a key meant for another provider never reaches a third-party endpoint
+  apiKeySetting: 'customApiKey',
+  maxCandidates: 1,
+  settingKeys: ['customApiKey', 'customBaseUrl', 'customHeaders', 'customModel'],
+  defaultModel: '',
+  models: [],
+
+  configFromSettings(settings) {
+    return {
+      apiKey: settings.customApiKey,
+      model: settings.customModel,
+      baseUrl: settings.customBaseUrl,
+      headers: parseHeaders(settings.customHeaders)
+    };
+  },
+
+  buildRequest(config, params) {
+    const { body } = openai.buildRequest.call(this, config, params);
+    // Not every compatible server accepts stream_options
+    delete body.stream_options;
+
+    return {
+      url: resolveEndpoint(config.baseUrl),
+      headers: buildHeaders(config),
+      body
+    };
+  },
+
+  async listModels(config) {
+    const data = await fetchProviderJson(this, resolveModelsEndpoint(config.baseUrl), buildHeaders(config));
+
+    return (data.data || []).map(model => ({ value: model.id, label: model.id }));
+  },
+
+  parseResponse: openai.parseResponse,
+  parseStreamChunk: openai.parseStreamChunk,
+  parseError: openai.parseError,
+  parseUsage: openai.parseUsage
+});
@@ -0,0 +1,85 @@
+/**
+ * Google Gemini provider for Email Copilot
+ */
+
+import { defineProvider, fetchProviderJson } from './base.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export default defineProvider({
+  id: 'gemini',
+  name: 'Google Gemini',
+  label: 'Gemini',
+  description: 'Fast and accurate',
+  apiKeyUrl: 'https://makersuite.google.com/app/apikey',
+  maxCandidates: 8,
+  defaultModel: 'gemini-1.5-flash',
+  models: [
+    { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash (Recommended)' },
+    { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
+    { value: 'gemini-pro', label: 'Gemini Pro' }
+  ],
+
+  buildRequest(config, params) {
+    const method = params.stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+
+    const generationConfig = {
+      maxOutputTokens: params.maxTokens,
+      temperature: params.temperature
+    };
+    if (params.candidateCount > 1) {
+      generationConfig.candidateCount = params.candidateCount;
+    }
+    if (params.stop?.length) {
+      generationConfig.stopSequences = params.stop;
+    }
+
+    return {
+      url: `${API_BASE}/${config.model || this.defaultModel}:${method}key=${config.apiKey}`,
+      headers: {},
+      body: {
+        contents: [{
+          parts: [{
+            text: params.prompt
+          }]
+        }],
+        generationConfig
+      }
+    };
+  },
+
+  async listModels(config) {
+    const data = await fetchProviderJson(this, `${API_BASE}?pageSize=1000&key=${config.apiKey}`);
+
+    return (data.models || [])
+      .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+      .map(model => ({
+        value: model.name.replace(/^models\//, ''),
+        label: model.displayName || model.name
+      }));
+  },
+
+  parseResponse(data) {
+    return (data.candidates || [])
+      .map(candidate => candidate.content?.parts?.[0]?.text || '');
+  },
+
+  parseStreamChunk(data) {
+    return (data.candidates || [])
+      .map((candidate, position) => ({
+        index: candidate.index ?? position,
+        text: candidate.content?.parts?.[0]?.text || ''
+      }))
+      .filter(delta => delta.text);
+  },
+
+  parseError(data) {
+    return data.error?.message || null;
+  },
+
+  // Every stream event carries the counts so far
+  parseUsage(data) {
+    const usage = data.usageMetadata;
+    return usage ? { promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount } : null;
+  }
+});
@@ -0,0 +1,62 @@
+/**
+ * AI provider registry for Email Copilot
+ * Every backend is a self-contained module registered here
+ */
+
+import gemini from './gemini.js';
+import openai from './openai.js';
+import anthropic from './anthropic.js';
+import custom from './custom.js';
+
+export {
+  requestCompletion,
+  requestCandidates,
+  streamCompletion,
+  streamCandidates
+} from './base.js';
+
+const providers = new Map();
+
+/**
+ * Register an AI provider
+ * @param {import('./base.js').AIProvider} provider - Provider to register
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Look up a registered provider
+ * @param {string} id - Provider identifier from settings
+ * @returns {import('./base.js').AIProvider} - The provider
+ */
+export function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error('Unsupported AI provider');
+  }
+  return provider;
+}
+
+/**
+ * List all registered providers in registration order
+ * @returns {import('./base.js').AIProvider[]} - Registered providers
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Storage keys needed to build any provider's config
+ * @returns {string[]} - Settings keys
+ */
+export function getProviderSettingKeys() {
+  const keys = ['aiProvider', 'apiKey', 'model'];
+  providers.forEach(provider => keys.push(...provider.settingKeys));
+  return keys;
+}
+
+registerProvider(gemini);
+registerProvider(openai);
+registerProvider(anthropic);
+registerProvider(custom);
@@ -0,0 +1,87 @@
+/**
+ * OpenAI provider for Email Copilot
+ */
+
+import { defineProvider, fetchProviderJson } from './base.js';
+
+export default defineProvider({
+  id: 'openai',
+  name: 'OpenAI GPT',
+  label: 'OpenAI',
+  description: 'High quality responses',
+  apiKeyUrl: 'https://platform.openai.com/api-keys',
+  maxCandidates: 8,
+  defaultModel: 'gpt-4',
+  models: [
+    { value: 'gpt-4', label: 'GPT-4 (Recommended)' },
+    { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' },
+    { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' }
+  ],
+
+  buildRequest(config, params) {
+    const body = {
+      model: config.model || this.defaultModel,
+      messages: [{
+        role: 'user',
+        content: params.prompt
+      }],
+      max_tokens: params.maxTokens,
+      temperature: params.temperature
+    };
+    if (params.candidateCount > 1) {
+      body.n = params.candidateCount;
+    }
+    if (params.stop?.length) {
+      body.stop = params.stop;
+    }
+    if (params.stream) {
+      body.stream = true;
+      // Adds a final event with the token counts
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`
+      },
+      body
+    };
+  },
+
+  async listModels(config) {
+    const data = await fetchProviderJson(this, 'https://api.openai.com/v1/models', {
+      'Authorization': `Bearer ${config.apiKey}`
+    });
+
+    // The list also holds embedding, audio and image models
+    return (data.data || [])
+      .map(model => model.id)
+      .filter(id => /^(gpt-|o\d)/.test(id) && !/(audio|realtime|transcribe|tts|image|search)/.test(id))
+      .sort()
+      .map(id => ({ value: id, label: id }));
+  },
+
+  parseResponse(data) {
+    return (data.choices || [])
+      .map(choice => choice.message?.content || '');
+  },
+
+  parseStreamChunk(data) {
+    return (data.choices || [])
+      .map((choice, position) => ({
+        index: choice.index ?? position,
+        text: choice.delta?.content || ''
+      }))
+      .filter(delta => delta.text);
+  },
+
+  parseError(data) {
+    return data.error?.message || null;
+  },
+
+  parseUsage(data) {
+    const usage = data.usage;
+    return usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null;
+  }
+});
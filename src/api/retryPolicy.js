@@ -0,0 +1,103 @@
+/**
+ * Retry policy for Email Copilot
+ * Rate limits and temporary server errors are retried with exponential
+ * backoff, waiting as long as the provider's Retry-After header asks.
+ */
+
+// Statuses worth another try: timeouts, rate limits and temporary server errors
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxRetries - Retries after the first attempt
+ * @property {number} baseDelay - Delay before the first retry in milliseconds, doubled each time
+ * @property {number} maxDelay - Longest wait; a longer Retry-After gives up instead
+ */
+
+/** @type {RetryPolicy} */
+export const RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelay: 500,
+  maxDelay: 8000
+};
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null without a valid header
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long to wait before retrying a failed attempt
+ * @param {Error} error - Error from the attempt; provider errors carry status and retryAfter
+ * @param {number} attempt - Retries made so far
+ * @param {RetryPolicy} [policy]
+ * @returns {number|null} - Delay in milliseconds, or null if it shouldn't be retried
+ */
+export function getRetryDelay(error, attempt, policy = RETRY_POLICY) {
+  if (attempt >= policy.maxRetries || !RETRYABLE_STATUSES.includes(error.status)) {
+    return null;
+  }
+
+  if (error.retryAfter != null) {
+    return error.retryAfter <= policy.maxDelay ? error.retryAfter : null;
+  }
+
+  // Jitter keeps tabs that failed together from retrying together
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(backoff * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Run an operation, retrying it as the policy allows
+ * @param {() => Promise<*>} operation - Sends the request
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the waits between attempts
+ * @param {RetryPolicy} [options.policy]
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+export async function withRetry(operation, { signal, policy = RETRY_POLICY } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt, policy);
+      if (delay === null || signal?.aborted) {
+        throw error;
+      }
+
+      console.warn(`${error.message}; retrying in ${delay}ms`);
+      await wait(delay, signal);
+    }
+  }
+}
+
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * Writing-style profile for Email Copilot
+ * Learns greetings, sign-offs, sentence length and phrasing from the user's
+ * own emails. Samples and the profile stay in chrome.storage.local.
+ */
+
+// Most recent samples kept for analysis
+export const MAX_STYLE_SAMPLES = 30;
+
+// Shorter texts say little about style
+const MIN_SAMPLE_LENGTH = 40;
+
+const MAX_EXEMPLARS = 2;
+const MAX_EXEMPLAR_LENGTH = 400;
+
+const GREETING_PATTERN = /^(good (?:morning|afternoon|evening)|hi|hello|hey|dear|greetings|morning|hiya)\b/i;
+
+const SIGN_OFF_PATTERN = /^(best(?: regards| wishes)?|kind regards|warm regards|regards|many thanks|thanks(?: again| so much)?|thank you|cheers|sincerely|all the best|talk soon|take care|speak soon)\b/i;
+
+const CONTRACTION_PATTERN = /\b[a-z]+'(?:s|re|ll|ve|d|m|t)\b/gi;
+
+/**
+ * Split pasted text into samples; emails are separated by a line of dashes
+ * @param {string} text - One or more emails
+ * @returns {string[]}
+ */
+export function splitSamples(text) {
+  return text
+    .split(/^\s*-{3,}\s*$/m)
+    .map(sample => sample.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Add samples, dropping duplicates and very short texts and keeping the newest
+ * @param {string[]} samples - Stored samples, oldest first
+ * @param {string[]} newSamples - Samples to add
+ * @returns {string[]}
+ */
+export function mergeSamples(samples, newSamples) {
+  const merged = [...samples];
+
+  newSamples
+    .map(sample => sample.replace(/\r\n/g, '\n').trim())
+    .filter(sample => sample.length >= MIN_SAMPLE_LENGTH)
+    .forEach(sample => {
+      const index = merged.indexOf(sample);
+      if (index !== -1) merged.splice(index, 1);
+      merged.push(sample);
+    });
+
+  return merged.slice(-MAX_STYLE_SAMPLES);
+}
+
+/**
+ * Analyze samples into a style profile
+ * @param {string[]} samples - The user's own emails
+ * @returns {Object|null} - Profile, or null without samples
+ */
+export function buildStyleProfile(samples) {
+  if (!samples.length) return null;
+
+  const parsed = samples.map(parseSample);
+  const sentences = parsed.flatMap(sample => splitSentences(sample.body));
+  const wordCounts = sentences.map(sentence => sentence.split(/\s+/).length);
+  const contractions = sentences.reduce(
+    (count, sentence) => count + (sentence.match(CONTRACTION_PATTERN) || []).length,
+    0
+  );
+
+  return {
+    sampleCount: samples.length,
+    greetings: mostCommon(parsed.map(sample => sample.greeting).filter(Boolean), 3),
+    signOffs: mostCommon(parsed.map(sample => sample.signOff).filter(Boolean), 3),
+    averageSentenceLength: wordCounts.length
+      ? Math.round(wordCounts.reduce((sum, count) => sum + count, 0) / wordCounts.length)
+      : 0,
+    usesContractions: sentences.length > 0 && contractions / sentences.length >= 0.15,
+    commonPhrases: findCommonPhrases(parsed.map(sample => sample.body)),
+    exemplars: pickExemplars(parsed),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * One-paragraph description of a profile for the prompt and popup
+ * @param {Object} profile - Profile from buildStyleProfile
+ * @returns {string}
+ */
+export function summarizeStyle(profile) {
+  if (!profile) return '';
+
+  const quote = (items) => items.map(item => `"${item}"`).join(' or ');
+  const parts = [];
+
+  if (profile.greetings.length) {
+    parts.push(`Usually opens with ${quote(profile.greetings)}.`);
+  }
+  if (profile.signOffs.length) {
+    parts.push(`Signs off with ${quote(profile.signOffs)}.`);
+  }
+  if (profile.averageSentenceLength) {
+    const length = profile.averageSentenceLength <= 10 ? 'short'
+      : profile.averageSentenceLength <= 18 ? 'medium-length' : 'long';
+    parts.push(`Writes ${length} sentences (about ${profile.averageSentenceLength} words).`);
+  }
+  parts.push(profile.usesContractions ? 'Uses contractions.' : 'Rarely uses contractions.');
+  if (profile.commonPhrases.length) {
+    parts.push(`Favourite phrases: ${profile.commonPhrases.map(phrase => `"${phrase}"`).join(', ')}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Separate the greeting line and sign-off from the body of an email
+ */
+function parseSample(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  let greeting = '';
+  let signOff = '';
+
+  if (lines.length && GREETING_PATTERN.test(lines[0]) && lines[0].split(/\s+/).length <= 6) {
+    greeting = normalizeGreeting(lines.shift());
+  }
+
+  // The sign-off sits within the last few lines, above the name
+  for (let index = lines.length - 1; index >= Math.max(0, lines.length - 4); index--) {
+    if (SIGN_OFF_PATTERN.test(lines[index]) && lines[index].split(/\s+/).length <= 4) {
+      signOff = lines[index];
+      lines.splice(index);
+      break;
+    }
+  }
+
+  return { greeting, signOff, body: lines.join(' ') };
+}
+
+/**
+ * Replace the addressee with a placeholder: "Hi John," -> "Hi [name],"
+ */
+function normalizeGreeting(line) {
+  const [opener] = line.match(GREETING_PATTERN);
+  const rest = line.slice(opener.length).trim();
+  const punctuation = (rest || line).match(/[,!:.]$/)?.[0] || '';
+  const addressee = rest.replace(/[,!:.]$/, '').trim();
+
+  if (!addressee) return `${opener}${punctuation}`;
+  if (/^(all|team|everyone|there|folks|both)$/i.test(addressee)) {
+    return `${opener} ${addressee}${punctuation}`;
+  }
+  return `${opener} [name]${punctuation}`;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[a-z]/i.test(sentence));
+}
+
+function mostCommon(items, limit) {
+  const counts = new Map();
+  items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([item]) => item);
+}
+
+/**
+ * Three-word phrases that recur across different emails
+ */
+function findCommonPhrases(bodies, limit = 5) {
+  const phrases = bodies.flatMap(body => {
+    const words = body.toLowerCase().replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+    const seen = new Set();
+    for (let index = 0; index + 3 <= words.length; index++) {
+      seen.add(words.slice(index, index + 3).join(' '));
+    }
+    return [...seen];
+  });
+
+  const counts = new Map();
+  phrases.forEach(phrase => counts.set(phrase, (counts.get(phrase) || 0) + 1));
+  return [...counts.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([phrase]) => phrase);
+}
+
+/**
+ * The most recent emails with enough body text to show the voice
+ */
+function pickExemplars(parsed) {
+  return parsed
+    .filter(sample => sample.body.length >= 80)
+    .slice(-MAX_EXEMPLARS)
+    .map(sample => [sample.greeting, sample.body, sample.signOff].filter(Boolean).join('\n'))
+    .map(text => (text.length > MAX_EXEMPLAR_LENGTH ? `${text.slice(0, MAX_EXEMPLAR_LENGTH)}…` : text));
+}
@@ -0,0 +1,210 @@
+/**
+ * Suggestion cache for Email Copilot
+ * Completions keyed by a hash of everything that shapes them, kept in
+ * IndexedDB so they survive page reloads and are shared by every tab.
+ * Least recently used entries are evicted past MAX_CACHE_ENTRIES, and
+ * expired ones are deleted on every write and when the worker starts.
+ * Hit and miss counts live in the same database, so a lookup and its count
+ * are written together.
+ */
+
+const DB_NAME = 'email-copilot';
+const DB_VERSION = 3;
+const STORE_NAME = 'suggestions';
+const STATS_STORE_NAME = 'stats';
+const STATS_KEY = 'lookups';
+
+// Entries kept before the least recently used are evicted
+export const MAX_CACHE_ENTRIES = 500;
+
+// Suggestions older than this are requested again
+export const CACHE_TTL = 30 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        if (!store.indexNames.contains('lastUsed')) {
+          store.createIndex('lastUsed', 'lastUsed');
+        }
+        if (!store.indexNames.contains('createdAt')) {
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(STATS_STORE_NAME)) {
+          db.createObjectStore(STATS_STORE_NAME);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one transaction across several stores
+ * @param {string[]} storeNames - Stores the transaction covers
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(...stores: IDBObjectStore[]) => IDBRequest|void} operation - Issues the
+ *   requests, given the stores in the order named
+ * @returns {Promise<*>} - Result of the request operation returned, once committed
+ */
+async function withTransaction(storeNames, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = operation(...storeNames.map(name => transaction.objectStore(name)));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Run a transaction on the suggestions store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - Issues the requests
+ * @returns {Promise<*>} - Result of the request operation returned, once committed
+ */
+function withStore(mode, operation) {
+  return withTransaction([STORE_NAME], mode, operation);
+}
+
+/**
+ * Hash the inputs of a request into a cache key
+ * @param {Object} inputs - Provider, model, prompt and anything else that changes the result
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export async function createCacheKey(inputs) {
+  const data = new TextEncoder().encode(JSON.stringify(inputs));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up a cached result, counting the hit or miss
+ * @param {string} key - Key from createCacheKey
+ * @returns {Promise<Object|null>} - Cached result, or null if missing or expired
+ */
+export async function getCachedSuggestion(key) {
+  const now = Date.now();
+  let result = null;
+
+  // One transaction, so concurrent lookups can't lose each other's counts
+  await withTransaction([STORE_NAME, STATS_STORE_NAME], 'readwrite', (suggestions, stats) => {
+    suggestions.get(key).onsuccess = (event) => {
+      const entry = event.target.result;
+      const hit = Boolean(entry) && now - entry.createdAt <= CACHE_TTL;
+
+      if (hit) {
+        suggestions.put({ ...entry, lastUsed: now });
+        result = entry.result;
+      } else if (entry) {
+        suggestions.delete(key);
+      }
+      recordLookup(stats, hit);
+    };
+  });
+  return result;
+}
+
+/**
+ * Store a result, deleting expired entries and evicting the least recently
+ * used past the limit
+ * @param {string} key - Key from createCacheKey
+ * @param {Object} result - Suggestion result to cache
+ */
+export async function setCachedSuggestion(key, result) {
+  const now = Date.now();
+  await withStore('readwrite', store => {
+    store.put({ key, result, createdAt: now, lastUsed: now });
+    deleteExpired(store, now);
+  });
+
+  const count = await withStore('readonly', store => store.count());
+  if (count <= MAX_CACHE_ENTRIES) return;
+
+  let excess = count - MAX_CACHE_ENTRIES;
+  await withStore('readwrite', store => {
+    store.index('lastUsed').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && excess > 0) {
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      }
+    };
+  });
+}
+
+/**
+ * Delete entries past CACHE_TTL, so email text doesn't outlive its use
+ */
+export async function pruneExpiredSuggestions() {
+  await withStore('readwrite', store => deleteExpired(store, Date.now()));
+}
+
+function deleteExpired(store, now) {
+  const expired = IDBKeyRange.upperBound(now - CACHE_TTL, true);
+  store.index('createdAt').openCursor(expired).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+}
+
+/**
+ * Remove every cached suggestion and reset the hit rate
+ */
+export async function clearSuggestionCache() {
+  await withTransaction([STORE_NAME, STATS_STORE_NAME], 'readwrite', (suggestions, stats) => {
+    suggestions.clear();
+    stats.clear();
+  });
+}
+
+/**
+ * Entry count and hit/miss counts since the cache was last cleared
+ * @returns {Promise<{entries: number, hits: number, misses: number}>}
+ */
+export async function getCacheStats() {
+  let entries = 0;
+  let lookups = null;
+
+  await withTransaction([STORE_NAME, STATS_STORE_NAME], 'readonly', (suggestions, stats) => {
+    suggestions.count().onsuccess = (event) => {
+      entries = event.target.result;
+    };
+    stats.get(STATS_KEY).onsuccess = (event) => {
+      lookups = event.target.result;
+    };
+  });
+  return { entries, hits: lookups?.hits || 0, misses: lookups?.misses || 0 };
+}
+
+/**
+ * Count a hit or miss within the lookup's transaction
+ * @param {IDBObjectStore} stats - Stats store of a readwrite transaction
+ * @param {boolean} hit - Whether the lookup found a fresh entry
+ */
+function recordLookup(stats, hit) {
+  stats.get(STATS_KEY).onsuccess = (event) => {
+    const lookups = event.target.result || { hits: 0, misses: 0 };
+    stats.put({
+      hits: lookups.hits + (hit ? 1 : 0),
+      misses: lookups.misses + (hit ? 0 : 1)
+    }, STATS_KEY);
+  };
+}
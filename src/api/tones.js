@@ -0,0 +1,63 @@
+/**
+ * Tone presets for Email Copilot
+ * Built-in presets plus user-defined ones stored in chrome.storage.sync
+ */
+
+export const DEFAULT_TONE_ID = 'professional';
+
+export const BUILT_IN_TONES = [
+  {
+    id: 'professional',
+    name: 'Professional',
+    instruction: 'Write naturally and professionally.'
+  },
+  {
+    id: 'formal',
+    name: 'Formal',
+    instruction: 'Write formally: polished, precise and respectful, without contractions or slang.'
+  },
+  {
+    id: 'friendly',
+    name: 'Friendly',
+    instruction: 'Write in a warm, friendly and conversational way, as to a colleague you like.'
+  },
+  {
+    id: 'concise',
+    name: 'Concise',
+    instruction: 'Be brief and direct: short sentences, no filler, get to the point.'
+  },
+  {
+    id: 'apologetic',
+    name: 'Apologetic',
+    instruction: 'Be sincerely apologetic and accountable, acknowledging the issue without over-apologizing.'
+  },
+  {
+    id: 'persuasive',
+    name: 'Persuasive',
+    instruction: 'Be persuasive: confident, benefit-focused and clear about the desired next step.'
+  }
+];
+
+/**
+ * All tones, built-in first
+ * @param {Array<{id: string, name: string, instruction: string}>} [customTones] - User-defined tones
+ * @returns {Array<{id: string, name: string, instruction: string, custom?: boolean}>}
+ */
+export function getAllTones(customTones = []) {
+  return [
+    ...BUILT_IN_TONES,
+    ...customTones.map(tone => ({ ...tone, custom: true }))
+  ];
+}
+
+/**
+ * Look up a tone, falling back to the default preset
+ * @param {string} id - Tone identifier
+ * @param {Array} [customTones] - User-defined tones
+ * @returns {{id: string, name: string, instruction: string}}
+ */
+export function resolveTone(id, customTones = []) {
+  const tones = getAllTones(customTones);
+  return tones.find(tone => tone.id === id) ||
+    tones.find(tone => tone.id === DEFAULT_TONE_ID);
+}
@@ -0,0 +1,153 @@
+/**
+ * Usage budget for Email Copilot
+ * Rate limits requests, totals the tokens providers report for the day with
+ * an estimated cost, and checks the daily caps set in the popup. Totals are
+ * kept in chrome.storage.local and reset each (UTC) day.
+ */
+
+// Estimated USD per million prompt and completion tokens, by model name prefix
+export const MODEL_PRICES = {
+  'gemini-1.5-flash': { prompt: 0.075, completion: 0.3 },
+  'gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+  'gemini-pro': { prompt: 0.5, completion: 1.5 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet': { prompt: 3, completion: 15 }
+};
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Tokens in the prompt
+ * @property {number} completionTokens - Tokens generated
+ */
+
+/**
+ * Token bucket: allows bursts up to `capacity`, refilling at a steady rate
+ * @param {number} capacity - Most requests allowed at once
+ * @param {number} refillPerSecond - Requests regained per second
+ * @returns {{take: () => number}} - take() spends a token and returns 0, or
+ *   returns the milliseconds until one is available
+ */
+export function createTokenBucket(capacity, refillPerSecond) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond);
+      updatedAt = now;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+    }
+  };
+}
+
+/**
+ * Estimated cost of a request in USD
+ * @param {string} model - Model the request used
+ * @param {TokenUsage|null} usage - Reported token counts
+ * @returns {number} - 0 for unknown models (e.g. self-hosted) or missing counts
+ */
+export function estimateCost(model, usage) {
+  if (!usage || !model) return 0;
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return 0;
+
+  const price = MODEL_PRICES[prefix];
+  return (usage.promptTokens * price.prompt + usage.completionTokens * price.completion) / 1e6;
+}
+
+// Writes are chained so concurrent requests don't lose each other's counts
+let pendingWrite = Promise.resolve();
+
+/**
+ * Add a request to today's totals
+ * @param {string} providerId - Provider that answered
+ * @param {string} model - Model it used
+ * @param {TokenUsage|null} usage - Reported token counts, if any
+ * @returns {Promise<Object>} - Today's updated totals
+ */
+export function recordUsage(providerId, model, usage) {
+  pendingWrite = pendingWrite
+    .catch(() => {})
+    .then(async () => {
+      const today = await getDailyUsage();
+      const promptTokens = usage?.promptTokens || 0;
+      const completionTokens = usage?.completionTokens || 0;
+      const cost = estimateCost(model, usage);
+      const byProvider = today.byProvider[providerId] || { requests: 0, tokens: 0, cost: 0 };
+
+      const updated = {
+        ...today,
+        requests: today.requests + 1,
+        promptTokens: today.promptTokens + promptTokens,
+        completionTokens: today.completionTokens + completionTokens,
+        cost: today.cost + cost,
+        byProvider: {
+          ...today.byProvider,
+          [providerId]: {
+            requests: byProvider.requests + 1,
+            tokens: byProvider.tokens + promptTokens + completionTokens,
+            cost: byProvider.cost + cost
+          }
+        }
+      };
+      await chrome.storage.local.set({ dailyUsage: updated });
+      return updated;
+    });
+  return pendingWrite;
+}
+
+/**
+ * Today's totals, empty once the day has changed
+ * @returns {Promise<{date: string, requests: number, promptTokens: number,
+ *   completionTokens: number, cost: number, byProvider: Object}>}
+ */
+export async function getDailyUsage() {
+  const date = new Date().toISOString().split('T')[0];
+  const { dailyUsage } = await chrome.storage.local.get(['dailyUsage']);
+
+  if (dailyUsage?.date === date) {
+    return dailyUsage;
+  }
+  return { date, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, byProvider: {} };
+}
+
+/**
+ * Which daily cap, if any, today's usage has reached. A cap of 0 is no cap.
+ * @param {Object} usage - Result of getDailyUsage
+ * @param {Object} caps - Settings holding dailyRequestCap and dailyCostCap
+ * @returns {string|null} - Why requests are paused, or null
+ */
+export function checkDailyCaps(usage, { dailyRequestCap = 0, dailyCostCap = 0 } = {}) {
+  if (dailyRequestCap > 0 && usage.requests >= dailyRequestCap) {
+    return `Daily limit of ${dailyRequestCap} requests reached`;
+  }
+  if (dailyCostCap > 0 && usage.cost >= dailyCostCap) {
+    return `Daily spending limit of $${dailyCostCap.toFixed(2)} reached`;
+  }
+  return null;
+}
+
+/**
+ * When today's totals reset: the next UTC midnight
+ * @returns {number} - Timestamp in milliseconds
+ */
+export function getNextResetTime() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
@@ -3,6 +3,37 @@
  * Handles API communication, storage, and extension lifecycle
  */
 
+import {
+  getProvider,
+  getProviderSettingKeys,
+  requestCandidates,
+  requestCompletion,
+  streamCandidates
+} from '../api/providers/index.js';
+import { DEFAULT_TONE_ID, getAllTones, resolveTone } from '../api/tones.js';
+import { buildStyleProfile, mergeSamples, summarizeStyle } from '../api/styleProfile.js';
+import { withRetry } from '../api/retryPolicy.js';
+import {
+  clearSuggestionCache,
+  createCacheKey,
+  getCacheStats,
+  getCachedSuggestion,
+  pruneExpiredSuggestions,
+  setCachedSuggestion
+} from '../api/suggestionCache.js';
+import {
+  checkDailyCaps,
+  createTokenBucket,
+  getDailyUsage,
+  getNextResetTime,
+  recordUsage
+} from '../api/usageBudget.js';
+import { CONTENT_SETTING_KEYS } from '../utils/contentSettings.js';
+import { getContentScriptUrlPatterns, getMailClientForUrl, getSitePattern } from '../utils/mailClients.js';
+
+// Dynamic content script for the sites enabled in the popup
+const SITE_SCRIPT_ID = 'email-copilot-sites';
+
 // Extension lifecycle
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Email Copilot: Extension installed/updated');
@@ -16,6 +47,13 @@ chrome.runtime.onInstalled.addListener((details) => {
       url: chrome.runtime.getURL('src/popup/index.html')
     });
   }
+
+  syncSiteScripts();
+});
+
+// Suggestions that expired while the worker was stopped
+pruneExpiredSuggestions().catch(error => {
+  console.error('Failed to prune the suggestion cache:', error);
 });
 
 // Set default settings
@@ -26,7 +64,20 @@ async function setDefaultSettings() {
     apiKey: '',
     model: 'gemini-1.5-flash',
     autoTrigger: true,
-    triggerDelay: 500
+    triggerDelay: 500,
+    fillInMiddle: true,
+    candidateCount: 3,
+    defaultTone: DEFAULT_TONE_ID,
+    customTones: [],
+    useStyleProfile: true,
+    captureSentMail: false,
+    smartReplies: true,
+    longSuggestions: false,
+    debugOverlay: false,
+    rules: [],
+    fallbackProviders: [],
+    dailyRequestCap: 0,
+    dailyCostCap: 0
   };
   
   try {
@@ -46,10 +97,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleTestApiConnection(message, sendResponse);
       return true; // Keep message channel open for async response
       
+    case 'list_models':
+      handleListModels(message, sendResponse);
+      return true;
+      
     case 'get_ai_completion':
       handleGetAICompletion(message, sendResponse);
       return true; // Keep message channel open for async response
       
+    case 'cancel_completion':
+      handleCancelCompletion(message, sendResponse);
+      break;
+      
+    case 'generate_draft':
+      handleGenerateDraft(message, sendResponse);
+      return true;
+      
+    case 'get_smart_replies':
+      handleGetSmartReplies(message, sendResponse);
+      return true;
+      
+    case 'summarize_thread':
+      handleSummarizeThread(message, sendResponse);
+      return true;
+      
+    case 'rewrite_text':
+      handleRewriteText(message, sendResponse);
+      return true;
+      
     case 'track_usage':
       handleTrackUsage(message);
       break;
@@ -58,353 +133,1027 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleGetSettings(sendResponse);
       return true;
       
+    case 'get_tones':
+      handleGetTones(sendResponse);
+      return true;
+      
+    case 'get_snippets':
+      handleGetSnippets(sendResponse);
+      return true;
+      
+    case 'add_style_samples':
+      handleAddStyleSamples(message, sendResponse);
+      return true;
+      
+    case 'clear_style_profile':
+      handleClearStyleProfile(sendResponse);
+      return true;
+      
+    case 'get_cache_stats':
+      handleGetCacheStats(sendResponse);
+      return true;
+      
+    case 'clear_suggestion_cache':
+      handleClearSuggestionCache(sendResponse);
+      return true;
+      
+    case 'get_daily_usage':
+      handleGetDailyUsage(sendResponse);
+      return true;
+      
     default:
       console.log('Background: Unknown message type:', message.type);
   }
 });
 
+// In-flight completion requests by the ID the content script gave them
+const activeCompletions = new Map();
+
+// Start tracking a completion request; its signal aborts the provider fetch
+function trackCompletion(requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    activeCompletions.get(requestId)?.abort();
+    activeCompletions.set(requestId, controller);
+  }
+  return controller;
+}
+
+function untrackCompletion(requestId, controller) {
+  if (activeCompletions.get(requestId) === controller) {
+    activeCompletions.delete(requestId);
+  }
+}
+
+// Handle cancellation of an in-flight completion, e.g. once the user typed past it
+function handleCancelCompletion(message, sendResponse) {
+  const controller = activeCompletions.get(message.requestId);
+  if (controller) {
+    controller.abort();
+    activeCompletions.delete(message.requestId);
+    console.log('Background: Completion cancelled', message.requestId);
+  }
+  sendResponse({ success: true, cancelled: Boolean(controller) });
+}
+
+// Streaming completions run over a long-lived port so the content script can
+// render tokens as they arrive; disconnecting aborts the request too
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'ai_completion_stream') return;
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === 'start') {
+      const controller = trackCompletion(message.requestId);
+      port.onDisconnect.addListener(() => controller.abort());
+      
+      handleStreamAICompletion(message, port, controller.signal)
+        .finally(() => untrackCompletion(message.requestId, controller));
+    }
+  });
+});
+
 // Handle AI completion requests from content script
 async function handleGetAICompletion(message, sendResponse) {
+  const controller = trackCompletion(message.requestId);
+  
   try {
-    const { context, partialText } = message;
-    
-    // Get current settings
-    const settings = await chrome.storage.sync.get([
-      'enabled', 'aiProvider', 'apiKey', 'model'
-    ]);
+    const { context, partialText, suffix } = message;
     
-    if (!settings.enabled) {
-      sendResponse({ success: false, error: 'Extension is disabled' });
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      sendResponse({ success: false, error: target.error });
       return;
     }
     
-    if (!settings.apiKey) {
-      sendResponse({ success: false, error: 'API key not configured' });
-      return;
-    }
+    const tone = resolveTone(message.tone || target.settings.defaultTone, target.settings.customTones);
     
     // Get completion from AI
     const result = await getAICompletion(
-      settings.aiProvider, 
-      settings.apiKey, 
-      settings.model,
-      context,
-      partialText
+      target,
+      { context, partialText, suffix, tone, style: target.style },
+      { signal: controller.signal, trigger: message.trigger }
     );
     
     if (result.success) {
-      sendResponse({ success: true, suggestion: result.suggestion });
+      sendResponse({
+        success: true,
+        suggestion: result.suggestion,
+        suggestions: result.suggestions,
+        provider: result.provider,
+        providerLabel: result.providerLabel,
+        fallback: result.fallback === true
+      });
     } else {
-      sendResponse({ success: false, error: result.error });
+      sendResponse({ success: false, error: result.error, budgetExceeded: result.budgetExceeded, resetsAt: result.resetsAt });
     }
   } catch (error) {
     console.error('Background: AI completion failed:', error);
     sendResponse({ success: false, error: error.message });
+  } finally {
+    untrackCompletion(message.requestId, controller);
   }
 }
 
-// Get AI completion
-async function getAICompletion(provider, apiKey, model, context, partialText) {
-  const prompt = buildEmailPrompt(context, partialText);
+// Handle streaming AI completion requests from content script
+async function handleStreamAICompletion(message, port, signal) {
+  const post = (payload) => {
+    if (signal.aborted) return;
+    try {
+      port.postMessage(payload);
+    } catch {
+      // Port closed by the content script
+    }
+  };
   
   try {
-    if (provider === 'gemini') {
-      return await getGeminiCompletion(apiKey, prompt);
-    } else if (provider === 'openai') {
-      return await getOpenAICompletion(apiKey, model, prompt);
+    const { context, partialText, suffix } = message;
+    
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      post({ type: 'error', error: target.error });
+      return;
+    }
+    
+    const tone = resolveTone(message.tone || target.settings.defaultTone, target.settings.customTones);
+    
+    const result = await streamAICompletion(
+      target,
+      { context, partialText, suffix, tone, style: target.style },
+      {
+        signal,
+        trigger: message.trigger,
+        onChunk: (suggestion) => post({ type: 'chunk', suggestion })
+      }
+    );
+    
+    if (result.success) {
+      post({
+        type: 'done',
+        suggestion: result.suggestion,
+        suggestions: result.suggestions,
+        cached: result.cached === true,
+        provider: result.provider,
+        providerLabel: result.providerLabel,
+        fallback: result.fallback === true
+      });
     } else {
-      throw new Error('Unsupported AI provider');
+      post({ type: 'error', error: result.error, budgetExceeded: result.budgetExceeded, resetsAt: result.resetsAt });
     }
   } catch (error) {
-    return { success: false, error: error.message };
+    console.error('Background: Streaming completion failed:', error);
+    post({ type: 'error', error: error.message });
   }
 }
 
-// Build email completion prompt
-function buildEmailPrompt(context, partialText) {
-  return `You are an intelligent email writing assistant. Complete the following email text naturally and professionally.
-
-Context: ${context}
-
-Partial text: "${partialText}"
-
-Rules:
-- Provide ONLY the completion text, not the full email
-- Keep it concise and contextually appropriate
-- Match the writing tone and style
-- Don't repeat the partial text
-- Limit to 1-2 sentences maximum
-- If unsure, provide a short, safe completion
-
-Completion:`;
-}
-
-// Get Gemini completion
-async function getGeminiCompletion(apiKey, prompt) {
-  // Updated endpoint for Gemini 1.5 Flash
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
-  
+// Handle full-draft requests: write a whole email from a one-line instruction
+async function handleGenerateDraft(message, sendResponse) {
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          maxOutputTokens: 100,
-          temperature: 0.7,
-          stopSequences: ['\n\n', 'Context:', 'Partial text:']
-        }
-      }),
-      signal: AbortSignal.timeout(15000) // Increased timeout
-    });
-
-    if (!response.ok) {
-      let errorText;
-      try {
-        const errorData = await response.json();
-        errorText = errorData.error?.message || `HTTP ${response.status}`;
-      } catch {
-        errorText = `HTTP ${response.status}`;
-      }
-      throw new Error(`Gemini API error: ${errorText}`);
+    const { instruction, context } = message;
+    
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      sendResponse({ success: false, error: target.error });
+      return;
     }
-
-    const data = await response.json();
     
-    if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-      const suggestion = cleanCompletion(data.candidates[0].content.parts[0].text);
-      return { success: true, suggestion };
-    } else if (data.error) {
-      throw new Error(`Gemini API error: ${data.error.message}`);
-    } else {
-      throw new Error('Invalid response from Gemini API');
+    const tone = resolveTone(message.tone || target.settings.defaultTone, target.settings.customTones);
+    const prompt = buildDraftPrompt(context, instruction, tone, target.style);
+    
+    const text = await requestLongForm(target, { ...DRAFT_PARAMS, prompt });
+    
+    const draft = cleanLongForm(text);
+    if (!draft) {
+      sendResponse({ success: false, error: 'Empty draft' });
+      return;
     }
+    sendResponse({ success: true, draft });
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - check your internet connection');
-    }
-    throw error;
+    console.error('Background: Draft generation failed:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
-// Get OpenAI completion
-async function getOpenAICompletion(apiKey, model, prompt) {
-  const endpoint = 'https://api.openai.com/v1/chat/completions';
-  
+// Handle rewrites of selected text (shorten, expand, fix grammar, change tone)
+async function handleRewriteText(message, sendResponse) {
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4',
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        max_tokens: 100,
-        temperature: 0.7,
-        stop: ['\n\n', 'Context:', 'Partial text:']
-      }),
-      signal: AbortSignal.timeout(15000)
-    });
-
-    if (!response.ok) {
-      let errorText;
-      try {
-        const errorData = await response.json();
-        errorText = errorData.error?.message || `HTTP ${response.status}`;
-      } catch {
-        errorText = `HTTP ${response.status}`;
-      }
-      throw new Error(`OpenAI API error: ${errorText}`);
+    const { action, text, before, after, context } = message;
+    
+    if (!REWRITE_ACTIONS[action]) {
+      sendResponse({ success: false, error: 'Unknown rewrite action' });
+      return;
     }
-
-    const data = await response.json();
     
-    if (data.choices && data.choices[0]?.message?.content) {
-      const suggestion = cleanCompletion(data.choices[0].message.content);
-      return { success: true, suggestion };
-    } else {
-      throw new Error('Invalid response from OpenAI API');
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      sendResponse({ success: false, error: target.error });
+      return;
     }
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - check your internet connection');
+    
+    const tone = resolveTone(message.tone || target.settings.defaultTone, target.settings.customTones);
+    const prompt = buildRewritePrompt({ action, text, before, after, context, tone, style: target.style });
+    
+    let rewritten = cleanLongForm(await requestLongForm(target, { ...REWRITE_PARAMS, prompt }));
+    
+    // Models sometimes echo the quotes the prompt puts around the selection
+    if (/^".*"$/s.test(rewritten) && !/^".*"$/s.test(text.trim())) {
+      rewritten = rewritten.slice(1, -1).trim();
+    }
+    
+    if (!rewritten) {
+      sendResponse({ success: false, error: 'Empty rewrite' });
+      return;
     }
-    throw error;
+    sendResponse({ success: true, text: rewritten });
+  } catch (error) {
+    console.error('Background: Rewrite failed:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
-// Clean completion text
-function cleanCompletion(text) {
-  return text
-    .trim()
-    .replace(/^(Completion:|Response:)/i, '')
-    .replace(/\n+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+// Handle smart reply requests for the latest message of an open conversation
+async function handleGetSmartReplies(message, sendResponse) {
+  try {
+    const { subject, sender, thread } = message;
+    
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      sendResponse({ success: false, error: target.error });
+      return;
+    }
+    
+    const tone = resolveTone(message.tone || target.settings.defaultTone, target.settings.customTones);
+    const prompt = buildSmartReplyPrompt({ subject, sender, message: message.message, thread, tone, style: target.style });
+    
+    // Offered without being asked for, so they stop at the daily caps
+    const text = await requestLongForm(target, { ...SMART_REPLY_PARAMS, prompt }, { trigger: 'auto' });
+    
+    const replies = parseSmartReplies(text);
+    if (!replies.length) {
+      sendResponse({ success: false, error: 'No replies generated' });
+      return;
+    }
+    sendResponse({ success: true, replies });
+  } catch (error) {
+    console.error('Background: Smart replies failed:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      budgetExceeded: error.budgetExceeded === true,
+      resetsAt: error.resetsAt
+    });
+  }
 }
 
-// Handle API connection testing
-async function handleTestApiConnection(message, sendResponse) {
+// Handle thread summaries. Threads too long for one prompt are summarized
+// in parts first, then the notes from each part are summarized together.
+async function handleSummarizeThread(message, sendResponse) {
   try {
-    const { provider, apiKey, model } = message;
+    const { subject, messages = [] } = message;
+    if (!messages.length) {
+      sendResponse({ success: false, error: 'No messages to summarize' });
+      return;
+    }
     
-    if (!apiKey) {
-      sendResponse({ success: false, error: 'API key is required' });
+    const target = await resolveCompletionTarget();
+    if (target.error) {
+      sendResponse({ success: false, error: target.error });
       return;
     }
     
-    console.log(`Testing ${provider} connection...`);
-    const result = await testApiConnection(provider, apiKey, model);
-    console.log('Test result:', result);
-    sendResponse({ success: result.success, error: result.error });
+    const summarizeWith = (prompt) => requestLongForm(target, { ...SUMMARY_PARAMS, prompt });
+    
+    const chunks = chunkThread(messages.map(formatThreadMessage), SUMMARY_CHUNK_CHARS);
+    let material = chunks[0];
+    
+    if (chunks.length > 1) {
+      const notes = [];
+      for (const [index, chunk] of chunks.entries()) {
+        notes.push(await summarizeWith(buildThreadNotesPrompt(subject, chunk, index, chunks.length)));
+      }
+      material = notes
+        .map((note, index) => `Notes on part ${index + 1} of ${chunks.length}:\n${note.trim()}`)
+        .join('\n\n');
+    }
+    
+    const summary = parseThreadSummary(
+      await summarizeWith(buildThreadSummaryPrompt(subject, material, chunks.length > 1))
+    );
+    if (!summary.summary) {
+      sendResponse({ success: false, error: 'Empty summary' });
+      return;
+    }
+    sendResponse({ success: true, summary });
   } catch (error) {
-    console.error('Background: API test failed:', error);
+    console.error('Background: Thread summary failed:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Test API connection
-async function testApiConnection(provider, apiKey, model) {
-  const testPrompt = 'Complete this email: "Hello, I hope this message finds you"';
+// Load settings and resolve the configured provider, or the reason we can't complete
+async function resolveCompletionTarget() {
+  const settings = await chrome.storage.sync.get([
+    'enabled', 'candidateCount', 'defaultTone', 'customTones', 'useStyleProfile', 'longSuggestions',
+    'dailyRequestCap', 'dailyCostCap', 'fallbackProviders', ...getProviderSettingKeys()
+  ]);
   
-  try {
-    if (provider === 'gemini') {
-      return await testGeminiConnection(apiKey, testPrompt);
-    } else if (provider === 'openai') {
-      return await testOpenAIConnection(apiKey, model, testPrompt);
-    } else {
-      throw new Error('Unsupported AI provider');
+  if (!settings.enabled) {
+    return { error: 'Extension is disabled' };
+  }
+  
+  const provider = getProvider(settings.aiProvider);
+  const config = provider.configFromSettings(settings);
+  
+  if (provider.requiresApiKey && !config.apiKey) {
+    return { error: 'API key not configured' };
+  }
+  
+  let style = null;
+  if (settings.useStyleProfile !== false) {
+    const { styleProfile } = await chrome.storage.local.get(['styleProfile']);
+    style = styleProfile || null;
+  }
+  
+  return {
+    provider,
+    config,
+    fallbacks: resolveFallbacks(settings, provider),
+    settings,
+    style,
+    candidateCount: settings.candidateCount ?? 3
+  };
+}
+
+// Fallback providers in the order the user listed them, each with its own key
+// and model; the primary provider and incomplete entries are skipped
+function resolveFallbacks(settings, primary) {
+  return (settings.fallbackProviders || []).flatMap(fallback => {
+    if (fallback.provider === primary.id) return [];
+    
+    try {
+      const provider = getProvider(fallback.provider);
+      const config = {
+        ...provider.configFromSettings({ ...settings, model: fallback.model || provider.defaultModel }),
+        apiKey: fallback.apiKey
+      };
+      return provider.requiresApiKey && !config.apiKey ? [] : [{ provider, config }];
+    } catch {
+      return [];
     }
+  });
+}
+
+// Shared generation parameters for inline completions
+const COMPLETION_PARAMS = {
+  maxTokens: 100,
+  temperature: 0.7,
+  stop: ['\n\n', 'Context:', 'Partial text:', 'Text after the cursor:']
+};
+
+// Full drafts are longer and multi-paragraph, so no newline stop sequences
+const DRAFT_PARAMS = {
+  maxTokens: 700,
+  temperature: 0.7,
+  stop: ['Instruction:']
+};
+
+// Rewrites stay close to the original, so less randomness
+const REWRITE_PARAMS = {
+  maxTokens: 500,
+  temperature: 0.4
+};
+
+// What each rewrite action asks the model to do
+const REWRITE_ACTIONS = {
+  shorten: 'Make it noticeably shorter while keeping every important point.',
+  expand: 'Expand it with a little more detail and explanation, without inventing facts.',
+  grammar: 'Fix grammar, spelling and punctuation only. Keep the wording otherwise unchanged.',
+  tone: 'Rewrite it in the requested tone, keeping the meaning.'
+};
+
+// Three short, distinct options
+const SMART_REPLY_PARAMS = {
+  maxTokens: 200,
+  temperature: 0.8
+};
+
+const SMART_REPLY_COUNT = 3;
+
+// Summaries should be faithful rather than creative
+const SUMMARY_PARAMS = {
+  maxTokens: 600,
+  temperature: 0.3
+};
+
+// Threads longer than this (in characters) are summarized in parts
+const SUMMARY_CHUNK_CHARS = 12000;
+
+// Drafts and rewrites take longer to generate than inline completions
+const LONG_FORM_TIMEOUT = 45000;
+
+// Inline completions are only useful quickly, so they retry once and briefly
+const COMPLETION_RETRY_POLICY = {
+  maxRetries: 1,
+  baseDelay: 300,
+  maxDelay: 2000
+};
+
+// Long suggestions may run to a paragraph or a list, so blank lines don't stop them
+const LONG_COMPLETION_PARAMS = {
+  maxTokens: 300,
+  temperature: 0.7,
+  stop: ['Context:', 'Partial text:', 'Text after the cursor:']
+};
+
+// AI requests allowed across all tabs: bursts of 10, then 2 a second
+const REQUEST_RATE_LIMIT = {
+  capacity: 10,
+  refillPerSecond: 2
+};
+
+const requestLimiter = createTokenBucket(REQUEST_RATE_LIMIT.capacity, REQUEST_RATE_LIMIT.refillPerSecond);
+
+// Long suggestions keep line breaks; insertions mid-text always stay on one line
+function isMultilineRequest(settings, request) {
+  return settings.longSuggestions === true && !request.suffix?.trim();
+}
+
+// Get AI completion alternatives
+async function getAICompletion(target, request, { signal, trigger } = {}) {
+  const { candidateCount, settings } = target;
+  const multiline = isMultilineRequest(settings, request);
+  const prompt = buildCompletionPrompt({ ...request, multiline });
+  
+  const cacheKey = await getCompletionCacheKey(target, prompt, multiline);
+  const cached = await readCachedCompletion(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+  
+  const limited = await checkRequestLimits(target, trigger);
+  if (limited) {
+    return limited;
+  }
+  
+  try {
+    const params = { ...(multiline ? LONG_COMPLETION_PARAMS : COMPLETION_PARAMS), candidateCount, prompt };
+    const { result: texts, answeredBy } = await requestWithFailover(
+      target,
+      ({ provider, config }) => requestCandidates(provider, config, params, {
+        signal,
+        onUsage: trackRequestUsage({ provider, config })
+      }),
+      { signal, policy: COMPLETION_RETRY_POLICY }
+    );
+    return cacheCompletionResult(cacheKey, withAnsweringProvider(toSuggestionResult(texts, { multiline }), target, answeredBy));
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-// Test Gemini API connection
-async function testGeminiConnection(apiKey, prompt) {
-  // Use the same endpoint as the main function
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
+// Stream AI completion alternatives, reporting the first one's cleaned text so far
+async function streamAICompletion(target, request, { signal, trigger, onChunk }) {
+  const { candidateCount, settings } = target;
+  const multiline = isMultilineRequest(settings, request);
+  const prompt = buildCompletionPrompt({ ...request, multiline });
+  
+  const cacheKey = await getCompletionCacheKey(target, prompt, multiline);
+  const cached = await readCachedCompletion(cacheKey);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+  
+  const limited = await checkRequestLimits(target, trigger);
+  if (limited) {
+    return limited;
+  }
   
   try {
-    console.log('Testing Gemini with endpoint:', endpoint);
-    
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          maxOutputTokens: 50,
-          temperature: 0.7
-        }
+    // Once text has been shown, another provider's answer would replace it
+    let streamed = false;
+    const params = { ...(multiline ? LONG_COMPLETION_PARAMS : COMPLETION_PARAMS), candidateCount, prompt };
+    const { result: texts, answeredBy } = await requestWithFailover(
+      target,
+      ({ provider, config }) => streamCandidates(provider, config, params, {
+        signal,
+        onChunk: (partial) => {
+          streamed = true;
+          onChunk(cleanCompletion(partial, { multiline }));
+        },
+        onUsage: trackRequestUsage({ provider, config })
       }),
-      signal: AbortSignal.timeout(15000)
-    });
+      { signal, policy: COMPLETION_RETRY_POLICY, canFailOver: () => !streamed }
+    );
+    return cacheCompletionResult(cacheKey, withAnsweringProvider(toSuggestionResult(texts, { multiline }), target, answeredBy));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    console.log('Gemini response status:', response.status);
+// Long-form request (draft, rewrite, smart replies, summary) with retries and
+// failover. Throws when limited; the error carries budgetExceeded and resetsAt.
+async function requestLongForm(target, params, { trigger = 'manual' } = {}) {
+  const limited = await checkRequestLimits(target, trigger);
+  if (limited) {
+    throw Object.assign(new Error(limited.error), {
+      budgetExceeded: limited.budgetExceeded === true,
+      resetsAt: limited.resetsAt
+    });
+  }
+  
+  const { result } = await requestWithFailover(
+    target,
+    ({ provider, config }) => requestCompletion(provider, config, params, {
+      timeout: LONG_FORM_TIMEOUT,
+      onUsage: trackRequestUsage({ provider, config })
+    })
+  );
+  return result;
+}
 
-    if (!response.ok) {
-      let errorText;
-      try {
-        const errorData = await response.json();
-        console.log('Gemini error data:', errorData);
-        errorText = errorData.error?.message || `HTTP ${response.status}`;
-      } catch {
-        errorText = `HTTP ${response.status}`;
+// Send a request to the primary provider, retrying rate limits and server
+// errors, then to each fallback in turn while it keeps failing. Resolves with
+// the result and the provider that answered; rejects with the primary's error.
+async function requestWithFailover(target, send, { signal, policy, canFailOver = () => true } = {}) {
+  const attempts = [{ provider: target.provider, config: target.config }, ...target.fallbacks];
+  let firstError = null;
+  
+  for (const attempt of attempts) {
+    try {
+      const result = await withRetry(() => send(attempt), { signal, policy });
+      if (firstError) {
+        console.log(`Background: ${attempt.provider.label} answered after ${target.provider.label} failed`);
+      }
+      return { result, answeredBy: attempt.provider };
+    } catch (error) {
+      if (signal?.aborted || !canFailOver()) {
+        throw error;
       }
-      throw new Error(`Gemini API error: ${errorText}`);
+      firstError = firstError || error;
+      console.warn(`Background: ${attempt.provider.label} request failed:`, error.message);
     }
+  }
+  
+  throw firstError;
+}
 
-    const data = await response.json();
-    console.log('Gemini response data:', data);
-    
-    if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-      return { success: true, response: data.candidates[0].content.parts[0].text };
-    } else if (data.error) {
-      throw new Error(`Gemini API error: ${data.error.message}`);
-    } else {
-      throw new Error('Invalid response from Gemini API');
-    }
-  } catch (error) {
-    console.error('Gemini test error:', error);
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - check your internet connection');
+// Note which provider produced a completion result
+function withAnsweringProvider(result, target, provider) {
+  return {
+    ...result,
+    provider: provider.id,
+    providerLabel: provider.label,
+    fallback: provider !== target.provider
+  };
+}
+
+// Pause auto-triggered requests (completions while typing, smart replies) once
+// a daily cap is reached; the user can still ask explicitly. Every request is
+// rate limited.
+async function checkRequestLimits({ settings }, trigger) {
+  if (trigger !== 'manual') {
+    const capReached = checkDailyCaps(await getDailyUsage(), settings);
+    if (capReached) {
+      return { success: false, error: capReached, budgetExceeded: true, resetsAt: getNextResetTime() };
     }
-    throw error;
   }
+  
+  if (requestLimiter.take()) {
+    return { success: false, error: 'Rate limited' };
+  }
+  return null;
 }
 
-// Test OpenAI API connection
-async function testOpenAIConnection(apiKey, model, prompt) {
-  const endpoint = 'https://api.openai.com/v1/chat/completions';
-  
+// Usage callback counting a provider request toward today's totals and caps
+function trackRequestUsage({ provider, config }) {
+  const model = config.model || provider.defaultModel;
+  return (usage) => {
+    recordUsage(provider.id, model, usage).catch(error => {
+      console.warn('Background: Failed to record usage:', error);
+    });
+  };
+}
+
+// Cache key covering everything that shapes a completion; the prompt holds
+// the text, context, tone and style
+function getCompletionCacheKey({ provider, config, candidateCount }, prompt, multiline) {
+  return createCacheKey({
+    provider: provider.id,
+    model: config.model || provider.defaultModel,
+    baseUrl: config.baseUrl || '',
+    candidateCount,
+    multiline,
+    prompt
+  });
+}
+
+// Cached completion result, or null; a broken cache never blocks a completion
+async function readCachedCompletion(cacheKey) {
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4',
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        max_tokens: 50,
-        temperature: 0.7
-      }),
-      signal: AbortSignal.timeout(15000)
+    return await getCachedSuggestion(cacheKey);
+  } catch (error) {
+    console.warn('Background: Suggestion cache unavailable:', error);
+    return null;
+  }
+}
+
+// Cache successful results in the background and pass the result through
+function cacheCompletionResult(cacheKey, result) {
+  if (result.success) {
+    setCachedSuggestion(cacheKey, result).catch(error => {
+      console.warn('Background: Failed to cache suggestion:', error);
     });
+  }
+  return result;
+}
 
-    if (!response.ok) {
-      let errorText;
-      try {
-        const errorData = await response.json();
-        errorText = errorData.error?.message || `HTTP ${response.status}`;
-      } catch {
-        errorText = `HTTP ${response.status}`;
-      }
-      throw new Error(`OpenAI API error: ${errorText}`);
+// Clean and de-duplicate candidates; the first stays first so streaming isn't disturbed
+function toSuggestionResult(texts, { multiline = false } = {}) {
+  const suggestions = [...new Set(texts.map(text => cleanCompletion(text, { multiline })).filter(Boolean))];
+  
+  if (!suggestions.length) {
+    return { success: false, error: 'Empty suggestion' };
+  }
+  return { success: true, suggestion: suggestions[0], suggestions };
+}
+
+// Pick the prompt for a request: fill-in-the-middle when there is text after the cursor
+function buildCompletionPrompt({
+  context,
+  partialText,
+  suffix,
+  tone = resolveTone(DEFAULT_TONE_ID),
+  style = null,
+  multiline = false
+}) {
+  if (suffix && suffix.trim()) {
+    return buildInsertionPrompt(context, partialText, suffix, tone, style);
+  }
+  return buildEmailPrompt(context, partialText, tone, style, multiline);
+}
+
+// Build email completion prompt; multiline allows a closing paragraph or list
+function buildEmailPrompt(context, partialText, tone, style, multiline = false) {
+  return `You are an intelligent email writing assistant. Complete the following email text in the requested tone.
+
+Context:
+${formatEmailContext(context)}
+${formatStyleGuide(style)}
+Partial text: "${partialText}"
+
+Rules:
+- Provide ONLY the completion text, not the full email
+- Keep it concise and contextually appropriate
+- Tone (${tone.name}): ${tone.instruction}
+${style ? "- Write in the writer's own style and phrasing shown above\n" : ''}- Address the recipients by name only if it fits
+- Stay consistent with the thread and with the text after the cursor
+- Don't repeat the partial text
+${multiline
+    ? '- You may continue with up to one paragraph or a short bulleted list ("- " items), putting each line on its own line'
+    : '- Limit to 1-2 sentences maximum'}
+- If unsure, provide a short, safe completion
+
+Completion:`;
+}
+
+// Build fill-in-the-middle prompt for a cursor inside existing text
+function buildInsertionPrompt(context, partialText, suffix, tone, style) {
+  const surroundingContext = typeof context === 'object' && context
+    ? { ...context, textAfterCursor: '' }
+    : context;
+  
+  return `You are an intelligent email writing assistant. Write the text that belongs at the cursor, bridging the text before it and the text after it in the requested tone.
+
+Context:
+${formatEmailContext(surroundingContext)}
+${formatStyleGuide(style)}
+Text before the cursor: "${partialText}"
+
+Text after the cursor: "${suffix}"
+
+Rules:
+- Provide ONLY the text to insert at the cursor
+- It must read naturally between the text before and the text after the cursor
+- Tone (${tone.name}): ${tone.instruction}
+${style ? "- Write in the writer's own style and phrasing shown above\n" : ''}- Don't repeat text that is already before or after the cursor
+- Keep it short: a few words up to one sentence
+- If unsure, provide a short, safe insertion
+
+Insertion:`;
+}
+
+// Build prompt for writing a whole email from the user's instruction
+function buildDraftPrompt(context, instruction, tone = resolveTone(DEFAULT_TONE_ID), style = null) {
+  return `You are an intelligent email writing assistant. Write the email described by the instruction below.
+
+Context:
+${formatEmailContext(context)}
+${formatStyleGuide(style)}
+Instruction: "${instruction}"
+
+Rules:
+- Provide ONLY the email body: greeting, paragraphs and sign-off, with no subject line
+- Separate paragraphs with a blank line
+- Tone (${tone.name}): ${tone.instruction}
+${style ? "- Write in the writer's own style and phrasing shown above\n" : ''}- Address the recipients by name if known
+- Stay consistent with the thread; don't invent facts, dates or commitments beyond the instruction
+- Keep it as short as the instruction allows
+- Use plain text, without Markdown
+
+Email:`;
+}
+
+// Build prompt for rewriting selected text in place
+function buildRewritePrompt({ action, text, before, after, context, tone, style }) {
+  const surroundingContext = typeof context === 'object' && context
+    ? { ...context, textAfterCursor: '' }
+    : context;
+  
+  return `You are an intelligent email writing assistant. Rewrite the selected part of an email.
+
+Context:
+${formatEmailContext(surroundingContext)}
+${formatStyleGuide(action === 'grammar' ? null : style)}
+Text before the selection: "${before || ''}"
+
+Selected text: "${text}"
+
+Text after the selection: "${after || ''}"
+
+Rules:
+- ${REWRITE_ACTIONS[action]}
+${action === 'grammar' ? '' : `- Tone (${tone.name}): ${tone.instruction}\n`}- Provide ONLY the replacement for the selected text
+- It must fit between the text before and after the selection
+- Keep line breaks where the selected text has them
+- Use plain text, without Markdown or quotes around it
+
+Rewritten:`;
+}
+
+// Build prompt for short reply options to a received message
+function buildSmartReplyPrompt({ subject, sender, message, thread, tone, style }) {
+  const context = [
+    subject ? `Subject: ${subject}` : '',
+    thread ? `Earlier messages in the thread:\n"""\n${thread}\n"""` : ''
+  ].filter(Boolean).join('\n');
+  
+  return `You are an intelligent email writing assistant. Suggest replies to the latest message in an email conversation.
+
+Context:
+${context || 'None'}
+${formatStyleGuide(style)}
+Latest message from ${sender || 'the sender'}:
+"""
+${message}
+"""
+
+Rules:
+- Write exactly ${SMART_REPLY_COUNT} different replies, one per line, numbered 1. to ${SMART_REPLY_COUNT}.
+- Each reply is one or two short sentences that could be sent as-is
+- Cover different intents where it makes sense (e.g. accept, decline, ask a question)
+- Tone (${tone.name}): ${tone.instruction}
+- No greeting or sign-off, no subject line, no Markdown
+
+Replies:`;
+}
+
+// Split the numbered smart reply list into separate replies
+function parseSmartReplies(text) {
+  const replies = text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line
+      .trim()
+      .replace(/^(\d+[.)]|[-*•])\s*/, '')
+      .replace(/^"(.*)"$/, '$1')
+      .trim())
+    .filter(line => line && !/^replies:?$/i.test(line));
+  
+  return [...new Set(replies)].slice(0, SMART_REPLY_COUNT);
+}
+
+// One thread message as prompt text
+function formatThreadMessage({ sender, date, text }) {
+  return `From: ${sender || 'Unknown'}${date ? ` (${date})` : ''}\n${text}`;
+}
+
+// Group whole messages into chunks of at most maxChars, truncating any
+// single message that is longer on its own
+function chunkThread(blocks, maxChars) {
+  const chunks = [];
+  let current = '';
+  
+  blocks.forEach(block => {
+    const text = block.length > maxChars ? `${block.slice(0, maxChars)}…` : block;
+    if (current && current.length + text.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${text}` : text;
+  });
+  
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Build prompt for notes on one part of a long thread
+function buildThreadNotesPrompt(subject, chunk, index, total) {
+  return `You are an intelligent email assistant. Take notes on part ${index + 1} of ${total} of a long email thread${subject ? ` titled "${subject}"` : ''}.
+
+Messages:
+"""
+${chunk}
+"""
+
+Rules:
+- List what was discussed, any decisions made and any requests or action items, with who is responsible
+- Keep names and dates exactly as written
+- Use short bullet points, no more than 10
+
+Notes:`;
+}
+
+// Build prompt for the final thread summary, from messages or part notes
+function buildThreadSummaryPrompt(subject, material, fromNotes) {
+  return `You are an intelligent email assistant. Summarize an email thread${subject ? ` titled "${subject}"` : ''}.
+
+${fromNotes ? 'Notes on the thread, in order' : 'Messages, oldest first'}:
+"""
+${material}
+"""
+
+Answer in exactly this format:
+Summary:
+<2-4 sentences on what the thread is about and where it stands>
+Decisions:
+- <each decision made, or "None">
+Action items:
+- <each open action item with its owner if known, or "None">
+
+Rules:
+- Only include what the thread actually says
+- Prefer the latest messages when they supersede earlier ones
+- No Markdown beyond the bullet dashes`;
+}
+
+// Parse the Summary / Decisions / Action items sections
+function parseThreadSummary(text) {
+  const result = { summary: '', decisions: [], actionItems: [] };
+  const sections = { summary: [], decisions: [], actionItems: [] };
+  let current = 'summary';
+  
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim().replace(/\*\*/g, '');
+    const header = line.match(/^#*\s*(summary|decisions?(?: made)?|(?:open )?action items?)\s*:?\s*(.*)$/i);
+    if (header) {
+      const name = header[1].toLowerCase();
+      current = name.startsWith('summary') ? 'summary' : name.startsWith('decision') ? 'decisions' : 'actionItems';
+      if (header[2]) sections[current].push(header[2]);
+      return;
     }
+    if (line) sections[current].push(line);
+  });
+  
+  const toItems = (lines) => lines
+    .map(line => line.replace(/^([-*•]|\d+[.)])\s*/, '').trim())
+    .filter(line => line && !/^none\.?$/i.test(line));
+  
+  result.summary = sections.summary.join(' ').trim();
+  result.decisions = toItems(sections.decisions);
+  result.actionItems = toItems(sections.actionItems);
+  return result;
+}
+
+// Describe the user's writing style with a couple of their own emails as examples
+function formatStyleGuide(style) {
+  if (!style) return '';
+  
+  const exemplars = (style.exemplars || [])
+    .map(exemplar => `"""\n${exemplar}\n"""`)
+    .join('\n');
+  
+  return `
+Writer's style: ${summarizeStyle(style)}
+${exemplars ? `Examples of their emails:\n${exemplars}\n` : ''}`;
+}
 
-    const data = await response.json();
+// Format structured compose context from the content script for the prompt
+function formatEmailContext(context) {
+  if (!context || typeof context === 'string') {
+    return context || 'None';
+  }
+  
+  const formatRecipients = (recipients) => recipients
+    .map(({ name, email }) => (name && email ? `${name} <${email}>` : name || email))
+    .join(', ');
+  
+  const lines = [];
+  
+  if (context.site) {
+    lines.push(`Not an email: a text box on ${context.site}. Match what the page is for.`);
+  }
+  if (context.subject) {
+    lines.push(`Subject: ${context.subject}`);
+  }
+  if (context.to?.length) {
+    lines.push(`To: ${formatRecipients(context.to)}`);
+  }
+  if (context.cc?.length) {
+    lines.push(`Cc: ${formatRecipients(context.cc)}`);
+  }
+  if (context.thread) {
+    lines.push(`Earlier messages in the thread:\n"""\n${context.thread}\n"""`);
+  }
+  if (context.textAfterCursor) {
+    lines.push(`Text after the cursor:\n"""\n${context.textAfterCursor}\n"""`);
+  }
+  if (context.signature) {
+    lines.push(`Sender's signature (do not repeat it):\n"""\n${context.signature}\n"""`);
+  }
+  
+  return lines.length ? lines.join('\n') : 'None';
+}
+
+// Clean completion text; multiline keeps line breaks (at most one blank line)
+function cleanCompletion(text, { multiline = false } = {}) {
+  const completion = text.replace(/^\s*(Completion:|Response:|Insertion:)[^\S\n]*/i, '');
+  
+  if (multiline) {
+    const body = completion
+      .replace(/\r\n?/g, '\n')
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
     
-    if (data.choices && data.choices[0]?.message?.content) {
-      return { success: true, response: data.choices[0].message.content };
-    } else {
-      throw new Error('Invalid response from OpenAI API');
+    // A completion that starts on a new line (e.g. a list after a colon) keeps that break
+    return body && /^[^\S\n]*\n/.test(completion) ? `\n${body}` : body;
+  }
+  
+  return completion
+    .replace(/\n+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Clean a generated draft or rewrite, keeping its line and paragraph breaks
+function cleanLongForm(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .trim()
+    .replace(/^```\w*\n?|\n?```$/g, '')
+    .replace(/^(Email:|Draft:|Rewritten:|Response:)\s*/i, '')
+    .replace(/^Subject:[^\n]*\n+/i, '')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Handle API connection testing
+async function handleTestApiConnection(message, sendResponse) {
+  try {
+    const { provider: providerId, settings } = message;
+    const provider = getProvider(providerId);
+    const config = provider.configFromSettings(settings);
+    
+    if (provider.requiresApiKey && !config.apiKey) {
+      sendResponse({ success: false, error: 'API key is required' });
+      return;
     }
+    
+    console.log(`Testing ${providerId} connection...`);
+    const result = await provider.testConnection(config);
+    console.log('Test result:', result);
+    sendResponse({ success: result.success, error: result.error });
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout - check your internet connection');
+    console.error('Background: API test failed:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle model list refresh from the popup
+async function handleListModels(message, sendResponse) {
+  try {
+    const { provider: providerId, settings } = message;
+    const provider = getProvider(providerId);
+    const config = provider.configFromSettings(settings);
+    
+    if (provider.requiresApiKey && !config.apiKey) {
+      sendResponse({ success: false, error: 'API key is required' });
+      return;
     }
-    throw error;
+    
+    const models = await provider.listModels(config);
+    sendResponse({ success: true, models });
+  } catch (error) {
+    console.error('Background: Model list failed:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
 // Handle usage tracking
 async function handleTrackUsage(message) {
   try {
-    const { action, timestamp } = message;
+    const { action, candidateIndex } = message;
     
     // Get current usage stats
     const result = await chrome.storage.local.get(['usageStats']);
@@ -414,6 +1163,8 @@ async function handleTrackUsage(message) {
       rejectedSuggestions: 0,
       dailyUsage: {}
     };
+    usageStats.acceptedByCandidate = usageStats.acceptedByCandidate || {};
+    usageStats.partialAccepts = usageStats.partialAccepts || { word: 0, sentence: 0 };
     
     // Update stats
     const today = new Date().toISOString().split('T')[0];
@@ -422,6 +1173,7 @@ async function handleTrackUsage(message) {
       usageStats.dailyUsage[today] = {
         suggestions: 0,
         accepted: 0,
+        partiallyAccepted: 0,
         rejected: 0
       };
     }
@@ -429,14 +1181,30 @@ async function handleTrackUsage(message) {
     if (action === 'accept') {
       usageStats.acceptedSuggestions++;
       usageStats.dailyUsage[today].accepted++;
+      
+      // Which alternative was accepted (0 = the first suggestion shown)
+      const index = Number.isInteger(candidateIndex) ? candidateIndex : 0;
+      usageStats.acceptedByCandidate[index] = (usageStats.acceptedByCandidate[index] || 0) + 1;
+    } else if (action === 'partial_accept') {
+      // Counted apart from full accepts; a ghost can be accepted piece by piece
+      const unit = message.unit === 'sentence' ? 'sentence' : 'word';
+      usageStats.partialAccepts[unit] = (usageStats.partialAccepts[unit] || 0) + 1;
+      usageStats.dailyUsage[today].partiallyAccepted = (usageStats.dailyUsage[today].partiallyAccepted || 0) + 1;
+    } else if (action === 'draft_generated') {
+      usageStats.draftsGenerated = (usageStats.draftsGenerated || 0) + 1;
+    } else if (action === 'smart_reply_used') {
+      usageStats.smartRepliesUsed = (usageStats.smartRepliesUsed || 0) + 1;
+    } else if (action === 'rewrite_accept' || action === 'rewrite_reject') {
+      usageStats.rewrites = usageStats.rewrites || { accepted: 0, rejected: 0 };
+      usageStats.rewrites[action === 'rewrite_accept' ? 'accepted' : 'rejected']++;
     } else if (action === 'reject') {
       usageStats.rejectedSuggestions++;
       usageStats.dailyUsage[today].rejected++;
+    } else {
+      usageStats.totalSuggestions++;
+      usageStats.dailyUsage[today].suggestions++;
     }
     
-    usageStats.totalSuggestions++;
-    usageStats.dailyUsage[today].suggestions++;
-    
     // Clean up old daily usage data (keep last 30 days)
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -456,12 +1224,103 @@ async function handleTrackUsage(message) {
   }
 }
 
+// Handle tone list request from content scripts
+async function handleGetTones(sendResponse) {
+  try {
+    const { defaultTone, customTones } = await chrome.storage.sync.get(['defaultTone', 'customTones']);
+    sendResponse({
+      success: true,
+      tones: getAllTones(customTones),
+      defaultTone: defaultTone || DEFAULT_TONE_ID
+    });
+  } catch (error) {
+    console.error('Failed to get tones:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle snippet list request from content scripts. Snippets live in
+// chrome.storage.local since their bodies can outgrow sync's per-item quota.
+async function handleGetSnippets(sendResponse) {
+  try {
+    const { snippets = [] } = await chrome.storage.local.get(['snippets']);
+    sendResponse({ success: true, snippets });
+  } catch (error) {
+    console.error('Failed to get snippets:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Add samples of the user's own emails and rebuild the style profile.
+// Mail captured on send is only kept when the user opted in.
+async function handleAddStyleSamples(message, sendResponse) {
+  try {
+    if (message.source === 'sent') {
+      const { captureSentMail } = await chrome.storage.sync.get(['captureSentMail']);
+      if (!captureSentMail) {
+        sendResponse({ success: false, error: 'Capturing sent mail is disabled' });
+        return;
+      }
+    }
+    
+    const { styleSamples = [] } = await chrome.storage.local.get(['styleSamples']);
+    const samples = mergeSamples(styleSamples, message.samples || []);
+    const styleProfile = buildStyleProfile(samples);
+    
+    await chrome.storage.local.set({ styleSamples: samples, styleProfile });
+    sendResponse({ success: true, profile: styleProfile, summary: summarizeStyle(styleProfile) });
+  } catch (error) {
+    console.error('Failed to update style profile:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Forget all samples and the profile built from them
+async function handleClearStyleProfile(sendResponse) {
+  try {
+    await chrome.storage.local.remove(['styleSamples', 'styleProfile']);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Failed to clear style profile:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle suggestion cache size and hit rate requests from the popup
+async function handleGetCacheStats(sendResponse) {
+  try {
+    sendResponse({ success: true, stats: await getCacheStats() });
+  } catch (error) {
+    console.error('Failed to read cache stats:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle clearing the suggestion cache from the popup
+async function handleClearSuggestionCache(sendResponse) {
+  try {
+    await clearSuggestionCache();
+    sendResponse({ success: true, stats: await getCacheStats() });
+  } catch (error) {
+    console.error('Failed to clear suggestion cache:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle today's request, token and cost totals for the popup
+async function handleGetDailyUsage(sendResponse) {
+  try {
+    sendResponse({ success: true, usage: await getDailyUsage() });
+  } catch (error) {
+    console.error('Failed to read daily usage:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Handle get settings request
 async function handleGetSettings(sendResponse) {
   try {
-    const settings = await chrome.storage.sync.get([
-      'enabled', 'aiProvider', 'apiKey', 'model', 'autoTrigger', 'triggerDelay'
-    ]);
+    const settings = await chrome.storage.sync.get(CONTENT_SETTING_KEYS);
     sendResponse({ success: true, settings });
   } catch (error) {
     console.error('Failed to get settings:', error);
@@ -469,13 +1328,13 @@ async function handleGetSettings(sendResponse) {
   }
 }
 
-// Tab updates - inject content script when Gmail is loaded
+// Tab updates - inject content script when a mail client is loaded
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
-    const isGmail = tab.url.includes('mail.google.com');
+    const mailClient = getMailClientForUrl(tab.url);
     
-    if (isGmail) {
-      console.log('Gmail tab detected, ensuring content script is injected');
+    if (mailClient) {
+      console.log(`${mailClient.name} tab detected, ensuring content script is injected`);
       
       // Check if extension is enabled before injecting
       chrome.storage.sync.get(['enabled']).then(result => {
@@ -487,7 +1346,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
-// Inject content script into Gmail tabs
+// Inject the content script into a tab
 async function injectContentScript(tabId) {
   try {
     // Check if content script is already injected
@@ -532,12 +1391,76 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'sync' && changes.enabled) {
     notifyContentScripts('settings_changed', { enabled: changes.enabled.newValue });
   }
+  
+  if (namespace === 'sync' && changes.enabledSites) {
+    const previous = changes.enabledSites.oldValue || [];
+    const added = (changes.enabledSites.newValue || []).filter(site => !previous.includes(site));
+    syncSiteScripts().then(() => injectIntoOpenTabs(added));
+  }
+});
+
+// Forget sites whose access was revoked, e.g. from the extensions page
+chrome.permissions.onRemoved.addListener(async ({ origins = [] }) => {
+  const { enabledSites = [] } = await chrome.storage.sync.get(['enabledSites']);
+  const remaining = enabledSites.filter(site => !origins.includes(getSitePattern(site)));
+  
+  if (remaining.length !== enabledSites.length) {
+    await chrome.storage.sync.set({ enabledSites: remaining });
+  }
 });
 
-// Notify all Gmail tabs of changes
+// Register the content script on the enabled sites we still have access to
+async function syncSiteScripts() {
+  try {
+    const { enabledSites = [] } = await chrome.storage.sync.get(['enabledSites']);
+    const matches = [];
+    for (const site of enabledSites) {
+      if (await chrome.permissions.contains({ origins: [getSitePattern(site)] })) {
+        matches.push(getSitePattern(site));
+      }
+    }
+    
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SITE_SCRIPT_ID] });
+    if (registered.length) {
+      await chrome.scripting.unregisterContentScripts({ ids: [SITE_SCRIPT_ID] });
+    }
+    
+    if (matches.length) {
+      await chrome.scripting.registerContentScripts([{
+        id: SITE_SCRIPT_ID,
+        matches,
+        js: ['contentScript.js'],
+        css: ['styles/content.css'],
+        runAt: 'document_idle'
+      }]);
+    }
+    
+    console.log('Site content scripts registered for:', matches);
+  } catch (error) {
+    console.error('Failed to register site content scripts:', error);
+  }
+}
+
+// Newly enabled sites work in their open tabs without a reload
+async function injectIntoOpenTabs(sites) {
+  if (!sites.length) return;
+  
+  try {
+    const { enabled } = await chrome.storage.sync.get(['enabled']);
+    if (enabled === false) return;
+    
+    const tabs = await chrome.tabs.query({ url: sites.map(getSitePattern) });
+    tabs.forEach(tab => injectContentScript(tab.id));
+  } catch (error) {
+    console.error('Failed to inject into open tabs:', error);
+  }
+}
+
+// Notify all tabs running the content script of changes
 async function notifyContentScripts(type, data) {
   try {
-    const tabs = await chrome.tabs.query({ url: '*://mail.google.com/*' });
+    const { enabledSites = [] } = await chrome.storage.sync.get(['enabledSites']);
+    const tabs = await chrome.tabs.query({ url: getContentScriptUrlPatterns(enabledSites) });
     
     tabs.forEach(tab => {
       chrome.tabs.sendMessage(tab.id, {
@@ -555,6 +1478,7 @@ async function notifyContentScripts(type, data) {
 // Error handling
 chrome.runtime.onStartup.addListener(() => {
   console.log('Email Copilot: Extension starting up');
+  syncSiteScripts();
 });
 
 // Keep service worker alive
@@ -1,8 +1,11 @@
 /**
  * Email Copilot Content Script - GitHub Copilot Style
- * Real-time AI autocomplete for Gmail with instant suggestions
+ * Real-time AI autocomplete for Gmail and Outlook with instant suggestions,
+ * and for text boxes on other sites the user enables
  */
 
+import { TextUtils } from '../utils/keybinds.js';
+
 // Prevent multiple injections
 if (window.emailCopilotInjected) {
   console.log('📧 Email Copilot: Already injected, skipping');
@@ -30,11 +33,22 @@ if (window.emailCopilotInjected) {
   }
 
   /**
-   * Text sanitization utility
+   * Text sanitization utility. Multiline (long suggestion) text keeps its
+   * line breaks, including a leading one, and may be longer.
    */
-  function sanitizeText(text) {
+  function sanitizeText(text, { multiline = false } = {}) {
     if (!text || typeof text !== 'string') return '';
     
+    if (multiline) {
+      const body = text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n]{2,}/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .slice(0, 1500);
+      return body && /^[^\S\n]*\n/.test(text) ? `\n${body}` : body;
+    }
+    
     return text
       .trim()
       .replace(/\r\n/g, '\n')
@@ -44,18 +58,56 @@ if (window.emailCopilotInjected) {
       .slice(0, 300); // Shorter suggestions for real-time feel
   }
 
+  /**
+   * What's left of a suggestion made for `text` once the user has typed on
+   * to `currentText`, or null if they typed something else or all of it
+   */
+  function remainingSuggestion(text, currentText, suggestion) {
+    if (!currentText.startsWith(text)) return null;
+
+    const typed = currentText.slice(text.length);
+    if (!suggestion.startsWith(typed)) return null;
+
+    const remainder = suggestion.slice(typed.length);
+    return remainder.trim() ? remainder : null;
+  }
+
   /**
    * Check if user is selecting text
    */
-  function hasTextSelection() {
+  function hasTextSelection(element) {
+    if (element && isTextField(element)) {
+      return element.selectionStart !== element.selectionEnd;
+    }
+    
     const selection = window.getSelection();
     return selection.rangeCount > 0 && !selection.getRangeAt(0).collapsed;
   }
 
+  /**
+   * Whether a compose element is a <textarea> rather than contenteditable.
+   * Text fields have no DOM range for the cursor (textInfo.range is null)
+   * and can't hold the ghost, so they get an overlay instead.
+   */
+  function isTextField(element) {
+    return element instanceof HTMLTextAreaElement;
+  }
+
   /**
    * Get text content and cursor position
    */
   function getTextAndCursor(element) {
+    if (isTextField(element)) {
+      const context = TextUtils.getTextContext(element, element.value.length);
+      return {
+        fullText: context.full,
+        textBeforeCursor: context.before,
+        textAfterCursor: context.after,
+        cursorOffset: context.cursor,
+        range: null
+      };
+    }
+    
     const selection = window.getSelection();
     if (selection.rangeCount === 0) return null;
 
@@ -77,6 +129,472 @@ if (window.emailCopilotInjected) {
     };
   }
 
+  /**
+   * Delete up to `length` characters of text just before a boundary
+   * @param {HTMLElement} element - Compose element
+   * @param {Range} boundary - Position the deleted text ends at
+   * @param {number} length - Number of characters to delete
+   * @returns {Range} - Collapsed range where the text was
+   */
+  function deleteTextBefore(element, boundary, length) {
+    const range = boundary.cloneRange();
+    range.collapse(true);
+    
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (range.comparePoint(walker.currentNode, 0) > 0) break;
+      textNodes.push(walker.currentNode);
+    }
+    
+    let remaining = length;
+    for (let index = textNodes.length - 1; index >= 0 && remaining > 0; index--) {
+      const node = textNodes[index];
+      const end = node === range.startContainer ? range.startOffset : node.length;
+      const take = Math.min(remaining, end);
+      range.setStart(node, end - take);
+      remaining -= take;
+    }
+    
+    range.deleteContents();
+    return range;
+  }
+
+  /**
+   * Delete up to `length` characters just before the cursor of a text field
+   */
+  function deleteTextFieldBefore(element, length) {
+    const cursor = TextUtils.getCursorPosition(element);
+    const start = Math.max(0, cursor - length);
+    element.value = element.value.slice(0, start) + element.value.slice(cursor);
+    TextUtils.setCursorPosition(element, start);
+  }
+
+  /**
+   * Insert text before a node, turning newlines into <br> line breaks
+   * @returns {Node} - The last inserted node
+   */
+  function insertLinesBefore(beforeNode, text) {
+    const nodes = [];
+    text.split('\n').forEach((line, index) => {
+      if (index > 0) nodes.push(document.createElement('br'));
+      if (line) nodes.push(document.createTextNode(line));
+    });
+    
+    nodes.forEach(node => beforeNode.parentNode.insertBefore(node, beforeNode));
+    return nodes[nodes.length - 1] || beforeNode.previousSibling;
+  }
+
+  /**
+   * Insert text that may span several lines just before a node (the ghost).
+   * Inside a Gmail line <div>, the first line joins the current line and the
+   * others become new line <div>s; the node and whatever followed it on the
+   * line move to the end of the last one. Elsewhere lines are joined with <br>.
+   * @param {HTMLElement} element - Compose element
+   * @param {Node} beforeNode - Node the text goes in front of
+   * @param {string} text - Text to insert
+   * @returns {Range} - Collapsed range at the end of the inserted text
+   */
+  function insertMultilineText(element, beforeNode, text) {
+    const caret = document.createRange();
+    const [firstLine, ...otherLines] = text.split('\n');
+    
+    let lineBlock = beforeNode.parentNode;
+    while (lineBlock && lineBlock !== element && lineBlock.parentNode !== element) {
+      lineBlock = lineBlock.parentNode;
+    }
+    
+    if (!otherLines.length || !lineBlock || lineBlock === element || lineBlock.nodeName !== 'DIV') {
+      caret.setStartAfter(insertLinesBefore(beforeNode, text));
+      caret.collapse(true);
+      return caret;
+    }
+    
+    if (firstLine) {
+      beforeNode.before(document.createTextNode(firstLine));
+    }
+    
+    const tail = document.createRange();
+    tail.setStartBefore(beforeNode);
+    tail.setEnd(lineBlock, lineBlock.childNodes.length);
+    const tailContents = tail.extractContents();
+    
+    const blocks = otherLines.map(line => {
+      const block = document.createElement('div');
+      if (line) block.appendChild(document.createTextNode(line));
+      return block;
+    });
+    const lastBlock = blocks[blocks.length - 1];
+    const lastText = lastBlock.firstChild;
+    lastBlock.appendChild(tailContents);
+    
+    [lineBlock, ...blocks].forEach(block => {
+      if (!block.hasChildNodes()) block.appendChild(document.createElement('br'));
+    });
+    lineBlock.after(...blocks);
+    
+    if (lastText) {
+      caret.setStartAfter(lastText);
+    } else {
+      caret.setStart(lastBlock, 0);
+    }
+    caret.collapse(true);
+    return caret;
+  }
+
+  /**
+   * Text of a node or fragment with its line breaks, minus the signature,
+   * quoted thread and ghost text
+   */
+  function getTextWithLineBreaks(node) {
+    const clone = document.createElement('div');
+    clone.appendChild(node.cloneNode(true));
+    clone.querySelectorAll(getExcludedContentSelector())
+      .forEach(excluded => excluded.remove());
+    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    clone.querySelectorAll('div, p').forEach(block => block.append('\n'));
+    
+    return clone.textContent.replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Insert multi-line text the way Gmail lays out the body: one <div> per
+   * line, with <div><br></div> for blank lines
+   * @param {HTMLElement} element - Compose element
+   * @param {Range} range - Collapsed range to insert at
+   * @param {string} text - Text to insert
+   * @returns {HTMLElement} - The last inserted line
+   */
+  function insertTextBlocks(element, range, text) {
+    const blocks = text.split('\n').map(line => {
+      const block = document.createElement('div');
+      block.appendChild(line ? document.createTextNode(line) : document.createElement('br'));
+      return block;
+    });
+    
+    // The line holding the cursor, as a direct child of the compose body
+    let line = range.startContainer === element ? null : range.startContainer;
+    while (line && line.parentNode !== element) {
+      line = line.parentNode;
+    }
+    
+    if (line && !line.textContent.trim() && !line.querySelector?.('img')) {
+      line.replaceWith(...blocks);
+    } else if (line?.nodeName === 'DIV') {
+      line.after(...blocks);
+    } else {
+      const fragment = document.createDocumentFragment();
+      fragment.append(...blocks);
+      range.insertNode(fragment);
+    }
+    
+    return blocks[blocks.length - 1];
+  }
+
+  // Styles the overlay copies so its text wraps exactly like the field's
+  const MIRRORED_STYLES = [
+    'paddingTop', 'paddingLeft', 'paddingBottom', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth',
+    'borderLeftWidth', 'borderStyle', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing',
+    'lineHeight', 'textAlign', 'textIndent', 'textTransform', 'wordSpacing', 'tabSize', 'direction'
+  ];
+
+  /**
+   * Overlay that shows a ghost over a text field: a transparent copy of the
+   * text before the cursor pushes the ghost to where the cursor is
+   * @returns {HTMLElement} - Overlay, positioned with syncTextFieldOverlay
+   */
+  function createTextFieldOverlay(ghost) {
+    const overlay = document.createElement('div');
+    overlay.className = 'copilot-text-field-overlay';
+    
+    const mirror = document.createElement('span');
+    mirror.className = 'copilot-text-field-mirror';
+    
+    overlay.append(mirror, ghost);
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Lay the overlay over the field and match its text and scroll position
+   */
+  function syncTextFieldOverlay(overlay, element) {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    
+    MIRRORED_STYLES.forEach(property => {
+      overlay.style[property] = style[property];
+    });
+    
+    // The field's scrollbar narrows its text
+    const scrollbarWidth = element.offsetWidth - element.clientWidth -
+      parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+    
+    Object.assign(overlay.style, {
+      left: `${rect.left + window.scrollX}px`,
+      top: `${rect.top + window.scrollY}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      paddingRight: `${parseFloat(style.paddingRight) + Math.max(0, scrollbarWidth)}px`
+    });
+    
+    overlay.firstChild.textContent = element.value.slice(0, TextUtils.getCursorPosition(element));
+    overlay.scrollTop = element.scrollTop;
+  }
+
+  // =============================================================================
+  // SITE ADAPTERS
+  // =============================================================================
+
+  /**
+   * Everything that depends on the mail client's DOM: finding compose bodies,
+   * reading subject and recipients, the open conversation, and which parts of
+   * the body are signature or quoted history. Hostnames mirror
+   * src/utils/mailClients.js; this script can't share modules with the popup
+   * and background.
+   *
+   * @typedef {Object} SiteAdapter
+   * @property {string} id - Client identifier
+   * @property {string} name - Display name
+   * @property {string[]} hostnames - Hosts the adapter handles
+   * @property {string[]} composeSelectors - Candidate compose bodies
+   * @property {string} composeContainerSelector - A compose body must sit inside one of these
+   * @property {string[]} excludedSelectors - Editable areas that aren't the message body
+   * @property {string|null} composeHeaderSelector - Subject or recipient fields that mark the compose root
+   * @property {string} composeRootFallbackSelector - Compose root when no header is found
+   * @property {string|null} subjectSelector - Subject input of a compose
+   * @property {string} threadSubjectSelector - Subject heading of the open conversation
+   * @property {string|null} threadHeaderSelector - Header around the subject; the summary panel goes after it
+   * @property {string|null} signatureSelector - Signature inside the compose body
+   * @property {string|null} quoteSelector - Quoted history inside the compose body
+   * @property {string|null} messageSelector - Expanded messages of the open conversation
+   * @property {string|null} messageBodySelector - Body within a message
+   * @property {string|null} messageSenderSelector - Sender within a message
+   * @property {string|null} messageDateSelector - Date within a message
+   * @property {string|null} messageQuoteSelector - Quoted history and signatures within a received message
+   * @property {string|null} sendButtonSelector - Send button of a compose
+   * @property {string|null} replyButtonSelector - Reply button of a message or conversation
+   * @property {string|null} toolbarSelector - Conversation toolbar, if the client has one we can extend
+   * @property {(root: HTMLElement, field: 'to'|'cc') => {name: string, email: string}[]} getRecipients
+   * @property {(message: HTMLElement) => string} getMessageId - Stable id of a message, or ''
+   * @property {() => string} getAccountEmail - Address of the signed-in account, or ''
+   */
+
+  const EMAIL_PATTERN = /[^\s<>"',;]+@[^\s<>"',;]+\.[^\s<>"',;]+/;
+
+  // Gmail's title: the account is the part just before the trailing " - Gmail"
+  const GMAIL_TITLE_ACCOUNT_PATTERN = new RegExp(` - (${EMAIL_PATTERN.source}) - Gmail$`);
+
+  /**
+   * Parse a typed recipient list: 'Jane <jane@example.com>, bob@example.com'
+   */
+  function parseRecipientList(value) {
+    return (value || '').split(/[,;]/).map(entry => {
+      const match = entry.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      if (match) {
+        return { name: match[1].trim(), email: match[2].trim() };
+      }
+      return entry.trim() ? { name: '', email: entry.trim() } : null;
+    }).filter(Boolean);
+  }
+
+  /** @type {SiteAdapter} */
+  const GMAIL_ADAPTER = {
+    id: 'gmail',
+    name: 'Gmail',
+    hostnames: ['mail.google.com', 'gmail.com'],
+    composeSelectors: [
+      'div[role="textbox"][aria-label*="message body" i]',
+      'div[role="textbox"][aria-label*="Message Body" i]',
+      'div[contenteditable="true"][aria-label*="message" i]',
+      'div[contenteditable="true"][role="textbox"]',
+      'div[contenteditable="true"][g_editable="true"]',
+      '.Am.Al.editable',
+      '.editable[contenteditable="true"]'
+    ],
+    composeContainerSelector: '.nH, .M9, .aDM, .n1tfz, .aO7',
+    excludedSelectors: [
+      '.gmail_signature', '.gmail_quote', '.ii', '.adP', '.adO',
+      '[aria-label*="subject" i]', '[aria-label*="to" i]', '[aria-label*="cc" i]'
+    ],
+    composeHeaderSelector: 'input[name="subjectbox"], [name="to"], input[name="to"]',
+    composeRootFallbackSelector: '.M9, .aDM, [role="dialog"]',
+    subjectSelector: 'input[name="subjectbox"], input[aria-label*="subject" i]',
+    threadSubjectSelector: 'h2.hP',
+    threadHeaderSelector: '.ha',
+    signatureSelector: '.gmail_signature',
+    quoteSelector: '.gmail_quote',
+    messageSelector: '.adn.ads',
+    messageBodySelector: '.a3s',
+    messageSenderSelector: '.gD',
+    messageDateSelector: '.g3',
+    messageQuoteSelector: '.gmail_quote, .im, .gmail_signature',
+    sendButtonSelector: '[role="button"][data-tooltip^="Send" i], .T-I.aoO',
+    replyButtonSelector: '[role="button"][data-tooltip="Reply"], [role="button"][aria-label="Reply"], .ams.bkH',
+    toolbarSelector: '[gh="mtb"]',
+
+    // Recipient chips, falling back to the raw input value
+    getRecipients(root, field) {
+      const recipients = [];
+      
+      root.querySelectorAll(`[name="${field}"] [data-hovercard-id], [name="${field}"] [email]`).forEach(chip => {
+        const email = chip.getAttribute('data-hovercard-id') || chip.getAttribute('email');
+        const name = chip.getAttribute('data-name') || chip.getAttribute('name') || chip.textContent.trim();
+        recipients.push({ name: name !== email ? name : '', email });
+      });
+      
+      root.querySelectorAll(`input[name="${field}"]`).forEach(input => {
+        recipients.push(...parseRecipientList(input.value));
+      });
+      
+      return recipients;
+    },
+
+    getMessageId(message) {
+      return message.querySelector('[data-message-id]')?.getAttribute('data-message-id') || '';
+    },
+
+    // The title ends with the account: "Subject - me@example.com - Gmail". The
+    // subject can hold other addresses, so the account button is the fallback.
+    getAccountEmail() {
+      const fromTitle = document.title.match(GMAIL_TITLE_ACCOUNT_PATTERN)?.[1];
+      if (fromTitle) return fromTitle;
+      
+      const accountButton = document.querySelector('a[aria-label^="Google Account" i]');
+      return accountButton?.getAttribute('aria-label').match(EMAIL_PATTERN)?.[0] || '';
+    }
+  };
+
+  /**
+   * Outlook on the web generates its class names, so this adapter relies on
+   * ARIA roles, labels and the ids Outlook gives signatures and reply headers
+   * @type {SiteAdapter}
+   */
+  const OUTLOOK_ADAPTER = {
+    id: 'outlook',
+    name: 'Outlook',
+    hostnames: ['outlook.office.com', 'outlook.office365.com', 'outlook.live.com'],
+    composeSelectors: [
+      'div[contenteditable="true"][aria-label*="message body" i]',
+      'div[contenteditable="true"][role="textbox"][aria-multiline="true"]'
+    ],
+    composeContainerSelector: '[role="main"], [role="dialog"], [role="complementary"]',
+    excludedSelectors: [
+      '#Signature', '[id^="Signature" i]', '#divRplyFwdMsg', '#appendonsend',
+      '[aria-label*="subject" i]', '[aria-label="To" i]', '[aria-label="Cc" i]', '[aria-label="Bcc" i]'
+    ],
+    composeHeaderSelector: 'input[aria-label*="subject" i], input[placeholder*="subject" i], [aria-label="To" i]',
+    composeRootFallbackSelector: '[role="dialog"], [role="main"]',
+    subjectSelector: 'input[aria-label*="subject" i], input[placeholder*="subject" i]',
+    threadSubjectSelector: '[role="main"] [role="heading"][aria-level="2"]',
+    threadHeaderSelector: null,
+    signatureSelector: '#Signature, [id^="Signature" i]',
+    quoteSelector: '#divRplyFwdMsg, #appendonsend',
+    messageSelector: '[role="main"] [aria-label="Email message" i]',
+    messageBodySelector: '[aria-label="Message body" i]:not([contenteditable="true"])',
+    messageSenderSelector: '[aria-label^="From" i], [data-testid="SenderPersona"]',
+    messageDateSelector: '[data-testid="SentReceivedSavedTime"]',
+    messageQuoteSelector: '#divRplyFwdMsg, #appendonsend, [id^="Signature" i], blockquote',
+    sendButtonSelector: 'button[aria-label="Send" i], button[title^="Send" i]',
+    replyButtonSelector: 'button[aria-label="Reply" i], [role="menuitem"][aria-label="Reply" i]',
+    toolbarSelector: null,
+
+    // Recipient "wells" list one item per resolved recipient
+    getRecipients(root, field) {
+      const label = field === 'cc' ? 'Cc' : 'To';
+      const recipients = [];
+      
+      root.querySelectorAll(`[aria-label="${label}" i]`).forEach(well => {
+        well.querySelectorAll('[role="listitem"], [data-lpc-hover-target-id]').forEach(chip => {
+          const title = chip.getAttribute('title') || chip.querySelector('[title]')?.getAttribute('title') || '';
+          const text = chip.textContent.trim();
+          const email = (title.match(EMAIL_PATTERN) || text.match(EMAIL_PATTERN))?.[0] || '';
+          const name = text.replace(EMAIL_PATTERN, '').replace(/[<>();]/g, '').trim();
+          if (name || email) {
+            recipients.push({ name, email });
+          }
+        });
+        
+        if (well.matches('input')) {
+          recipients.push(...parseRecipientList(well.value));
+        }
+      });
+      
+      return recipients;
+    },
+
+    getMessageId(message) {
+      return message.getAttribute('id') || message.closest('[data-convid]')?.getAttribute('data-convid') || '';
+    },
+
+    // The account manager in the header lists the signed-in address
+    getAccountEmail() {
+      const account = document.querySelector('#mectrl_currentAccount_secondary')?.textContent || '';
+      return account.match(EMAIL_PATTERN)?.[0] || '';
+    }
+  };
+
+  /**
+   * Any other site the user enabled: plain text areas and rich text editors,
+   * with no subject, recipients or conversation to read
+   * @type {SiteAdapter}
+   */
+  const GENERIC_ADAPTER = {
+    id: 'generic',
+    name: 'Website',
+    hostnames: [],
+    composeSelectors: ['textarea', '[contenteditable="true"]', '[contenteditable=""]'],
+    composeContainerSelector: 'body',
+    excludedSelectors: [
+      '[readonly]', '[disabled]', '[role="searchbox"]', '[role="combobox"]',
+      '[aria-label*="search" i]'
+    ],
+    composeHeaderSelector: null,
+    composeRootFallbackSelector: 'form, [role="dialog"]',
+    subjectSelector: null,
+    threadSubjectSelector: 'h1',
+    threadHeaderSelector: null,
+    signatureSelector: null,
+    quoteSelector: null,
+    messageSelector: null,
+    messageBodySelector: null,
+    messageSenderSelector: null,
+    messageDateSelector: null,
+    messageQuoteSelector: null,
+    sendButtonSelector: null,
+    replyButtonSelector: null,
+    toolbarSelector: null,
+
+    getRecipients() {
+      return [];
+    },
+
+    getMessageId() {
+      return '';
+    },
+
+    getAccountEmail() {
+      return '';
+    }
+  };
+
+  const SITE_ADAPTERS = [GMAIL_ADAPTER, OUTLOOK_ADAPTER];
+
+  function detectSiteAdapter() {
+    return SITE_ADAPTERS.find(adapter => adapter.hostnames.includes(location.hostname)) || GENERIC_ADAPTER;
+  }
+
+  /**
+   * Parts of a compose body that aren't the user's text
+   */
+  function getExcludedContentSelector() {
+    return [siteAdapter.signatureSelector, siteAdapter.quoteSelector, '[data-copilot-ghost]']
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  const siteAdapter = detectSiteAdapter();
+
   // =============================================================================
   // REAL-TIME SUGGESTION ENGINE
   // =============================================================================
@@ -84,121 +602,199 @@ if (window.emailCopilotInjected) {
   class RealTimeSuggestionEngine {
     constructor() {
       this.activeRequests = new Map();
-      this.cache = new Map();
-      this.cacheSize = 100;
-      this.lastRequestTime = 0;
-      this.minRequestInterval = 150; // Minimum 150ms between requests
+      this.longSuggestions = false;
+      this.recentResults = [];
+      this.maxRecentResults = 20;
+      this.recentResultTtl = 2 * 60 * 1000; // Reuse suggestions for 2 minutes
     }
 
-    async getSuggestion(text, context = '') {
-      const now = Date.now();
-      const cacheKey = this.getCacheKey(text, context);
-      
-      // Check cache first
-      if (this.cache.has(cacheKey)) {
-        return this.cache.get(cacheKey);
-      }
-
-      // Throttle requests to prevent spam
-      if (now - this.lastRequestTime < this.minRequestInterval) {
-        return { success: false, error: 'Rate limited' };
-      }
+    /**
+     * Long suggestions keep line breaks
+     */
+    setLongSuggestions(enabled) {
+      this.longSuggestions = enabled;
+    }
 
-      // Cancel previous request for same key
-      if (this.activeRequests.has(cacheKey)) {
-        this.activeRequests.get(cacheKey).cancel();
+    /**
+     * Results are cached and rate limited by the background worker, across
+     * tabs and reloads. If the user has typed the start of a recent
+     * suggestion, the rest of it is returned without a request.
+     * @param {string} text - Text before the cursor
+     * @param {Object} context - Structured compose context
+     * @param {Object} [options]
+     * @param {string} [options.suffix] - Text after the cursor; requests a fill-in-the-middle insertion
+     * @param {Function} [options.onUpdate] - Receives the streamed suggestion so far
+     * @param {string} [options.tone] - Tone preset id; the background default is used when omitted
+     * @param {'auto'|'manual'} [options.trigger] - Auto-triggered requests stop at the daily caps
+     */
+    async getSuggestion(text, context = {}, { suffix = '', onUpdate = null, tone = '', trigger = 'auto' } = {}) {
+      const reused = this.findRecentSuggestion(text, suffix, tone);
+      if (reused) {
+        return reused;
       }
 
-      this.lastRequestTime = now;
-
       try {
-        const result = await this.makeApiRequest(text, context, cacheKey);
-        
-        if (result.success && result.suggestion) {
-          this.addToCache(cacheKey, result);
+        const result = await this.makeApiRequest(text, context, suffix, tone, trigger, this.createRequestId(), onUpdate);
+        if (result.success && !suffix) {
+          this.rememberResult(text, tone, result.suggestions);
         }
-        
         return result;
       } catch (error) {
         return { success: false, error: error.message };
       }
     }
 
-    async makeApiRequest(text, context, cacheKey) {
-      return new Promise((resolve, reject) => {
-        let cancelled = false;
-        
-        // Store cancellation function
-        this.activeRequests.set(cacheKey, {
-          cancel: () => { cancelled = true; }
-        });
-
-        // Make API call
-        chrome.runtime.sendMessage({
-          type: 'get_ai_completion',
-          context: context,
-          partialText: text,
-          prompt: this.buildPrompt(text, context)
-        }).then(response => {
-          this.activeRequests.delete(cacheKey);
-          
-          if (cancelled) {
-            reject(new Error('Request cancelled'));
-            return;
-          }
-
-          if (response && response.success) {
-            const suggestion = sanitizeText(response.suggestion);
-            if (suggestion && suggestion.length > 0) {
-              resolve({ success: true, suggestion });
-            } else {
-              resolve({ success: false, error: 'Empty suggestion' });
-            }
-          } else {
-            resolve({ 
-              success: false, 
-              error: response?.error || 'API request failed' 
-            });
-          }
-        }).catch(error => {
-          this.activeRequests.delete(cacheKey);
-          if (!cancelled) {
-            reject(error);
-          }
-        });
+    /**
+     * Keep a result so typing along it can be answered locally
+     */
+    rememberResult(text, tone, suggestions) {
+      this.recentResults.push({
+        text,
+        tone,
+        multiline: this.longSuggestions,
+        suggestions,
+        time: Date.now()
       });
+      this.recentResults = this.recentResults.slice(-this.maxRecentResults);
     }
 
-    buildPrompt(text, context) {
-      // GitHub Copilot style prompt - shorter and more focused
-      let prompt = "Complete this email naturally:";
+    /**
+     * The newest recent result that one of its suggestions still fits,
+     * trimmed to what the user hasn't typed yet. Insertions aren't reused.
+     */
+    findRecentSuggestion(text, suffix, tone) {
+      if (suffix) return null;
       
-      if (context.trim()) {
-        prompt += `\n\nContext: ${context}`;
-      }
-      
-      prompt += `\n\nText: "${text}"`;
-      prompt += "\n\nContinue with 1 sentence:";
+      const now = Date.now();
+      this.recentResults = this.recentResults.filter(entry => now - entry.time < this.recentResultTtl);
       
-      return prompt;
+      for (const entry of [...this.recentResults].reverse()) {
+        if (entry.tone !== tone || entry.multiline !== this.longSuggestions) continue;
+        
+        const suggestions = [...new Set(entry.suggestions
+          .map(suggestion => remainingSuggestion(entry.text, text, suggestion))
+          .filter(Boolean))];
+        if (suggestions.length) {
+          return { success: true, suggestion: suggestions[0], suggestions, reused: true };
+        }
+      }
+      return null;
     }
 
-    getCacheKey(text, context) {
-      return `${text.slice(-50)}|${context}`.toLowerCase();
+    /**
+     * Unique across tabs, since every tab talks to the same background worker
+     */
+    createRequestId() {
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     }
 
-    addToCache(key, result) {
-      if (this.cache.size >= this.cacheSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
-      this.cache.set(key, result);
+    /**
+     * Stream a completion over a port; onUpdate receives the text so far.
+     * Cancelling sends cancel_completion, which aborts the fetch in the
+     * background, and disconnects the port.
+     */
+    async makeApiRequest(text, context, suffix, tone, trigger, requestId, onUpdate) {
+      return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: 'ai_completion_stream' });
+        const multiline = this.longSuggestions && !suffix;
+        let settled = false;
+        
+        const finish = (callback) => {
+          if (settled) return;
+          settled = true;
+          this.activeRequests.delete(requestId);
+          port.disconnect();
+          callback();
+        };
+        
+        // Store cancellation function, and what has streamed so far
+        const request = {
+          text,
+          suffix,
+          partial: '',
+          cancel: () => finish(() => {
+            chrome.runtime.sendMessage({ type: 'cancel_completion', requestId }).catch(() => {
+              // The port disconnect aborts the request as well
+            });
+            reject(new Error('Request cancelled'));
+          })
+        };
+        this.activeRequests.set(requestId, request);
+
+        port.onMessage.addListener(message => {
+          if (message.type === 'chunk') {
+            const suggestion = sanitizeText(message.suggestion, { multiline });
+            request.partial = suggestion;
+            if (suggestion && onUpdate) {
+              onUpdate(suggestion);
+            }
+          } else if (message.type === 'done') {
+            const suggestion = sanitizeText(message.suggestion, { multiline });
+            const suggestions = [...new Set(
+              [suggestion, ...(message.suggestions || []).map(text => sanitizeText(text, { multiline }))]
+                .filter(Boolean)
+            )];
+            finish(() => resolve(suggestion
+              ? {
+                success: true,
+                suggestion,
+                suggestions,
+                cached: message.cached === true,
+                providerLabel: message.providerLabel,
+                fallback: message.fallback === true
+              }
+              : { success: false, error: 'Empty suggestion' }));
+          } else if (message.type === 'error') {
+            finish(() => resolve({
+              success: false,
+              error: message.error || 'API request failed',
+              budgetExceeded: message.budgetExceeded === true,
+              resetsAt: message.resetsAt
+            }));
+          }
+        });
+        
+        port.onDisconnect.addListener(() => {
+          finish(() => reject(new Error('Connection to background lost')));
+        });
+
+        port.postMessage({
+          type: 'start',
+          requestId,
+          context: context,
+          partialText: text,
+          suffix: suffix,
+          tone: tone,
+          trigger
+        });
+      });
     }
 
     cancelAllRequests() {
       this.activeRequests.forEach(request => request.cancel());
       this.activeRequests.clear();
     }
+
+    /**
+     * Cancel requests whose suggestion can no longer fit what's before the
+     * cursor. A request survives only while the user types the start of what
+     * it has already streamed, since the rest can still be shown.
+     * @param {string|null} textBeforeCursor - Current text, or null to cancel everything
+     */
+    cancelDivergedRequests(textBeforeCursor) {
+      this.activeRequests.forEach(request => {
+        if (textBeforeCursor === request.text) return;
+        
+        const typed = textBeforeCursor?.startsWith(request.text)
+          ? textBeforeCursor.slice(request.text.length)
+          : null;
+        const typingAlong = typed !== null && !request.suffix &&
+          request.partial !== '' && request.partial.startsWith(typed);
+        if (!typingAlong) {
+          request.cancel();
+        }
+      });
+    }
   }
 
   // =============================================================================
@@ -210,9 +806,31 @@ if (window.emailCopilotInjected) {
       this.activeGhost = null;
       this.targetElement = null;
       this.currentSuggestion = '';
+      this.insertionContext = null;
+      this.candidates = [];
+      this.candidateIndex = 0;
+      this.indicator = null;
+      this.isApplyingEdit = false;
+      this.replaceLength = 0;
+      this.overlay = null;
+      this.baseText = '';
+      this.requestText = null;
+
+      this.syncOverlay = this.syncOverlay.bind(this);
     }
 
-    showSuggestion(element, suggestion, insertPosition) {
+    /**
+     * @param {HTMLElement} element - Compose element
+     * @param {string} suggestion - Suggestion text
+     * @param {Object} insertPosition - Result of getTextAndCursor
+     * @param {Object} [options]
+     * @param {boolean} [options.insertion] - Mid-paragraph insertion; the ghost
+     *   sits between existing text and is padded so it doesn't run into it
+     * @param {number} [options.replaceLength] - Characters before the cursor that
+     *   accepting replaces, e.g. a snippet abbreviation
+     * @param {string} [options.requestText] - Text the suggestion was requested for
+     */
+    showSuggestion(element, suggestion, insertPosition, { insertion = false, replaceLength = 0, requestText = null } = {}) {
       if (!element || !suggestion || !insertPosition) {
         return false;
       }
@@ -222,11 +840,21 @@ if (window.emailCopilotInjected) {
 
       try {
         this.targetElement = element;
+        this.replaceLength = replaceLength;
+        this.baseText = insertPosition.textBeforeCursor;
+        this.requestText = requestText;
+        this.insertionContext = insertion ? {
+          before: insertPosition.textBeforeCursor,
+          after: insertPosition.textAfterCursor
+        } : null;
+        suggestion = this.fitSuggestion(suggestion);
         this.currentSuggestion = suggestion;
         
         // Create ghost element
         this.activeGhost = document.createElement('span');
-        this.activeGhost.className = 'copilot-ghost-suggestion';
+        this.activeGhost.className = insertion
+          ? 'copilot-ghost-suggestion copilot-ghost-insertion'
+          : 'copilot-ghost-suggestion';
         this.activeGhost.textContent = suggestion;
         this.activeGhost.setAttribute('data-copilot-ghost', 'true');
         
@@ -246,18 +874,24 @@ if (window.emailCopilotInjected) {
           display: 'inline'
         });
 
-        // Insert at cursor position
-        const range = insertPosition.range.cloneRange();
-        range.collapse(false);
-        range.insertNode(this.activeGhost);
-        
-        // Restore cursor position after ghost
-        range.setStartAfter(this.activeGhost);
-        range.collapse(true);
-        
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(range);
+        if (isTextField(element)) {
+          this.overlay = createTextFieldOverlay(this.activeGhost);
+          this.syncOverlay();
+          element.addEventListener('scroll', this.syncOverlay);
+        } else {
+          // Insert at cursor position
+          const range = insertPosition.range.cloneRange();
+          range.collapse(false);
+          range.insertNode(this.activeGhost);
+          
+          // Restore cursor position after ghost
+          range.setStartAfter(this.activeGhost);
+          range.collapse(true);
+          
+          const selection = window.getSelection();
+          selection.removeAllRanges();
+          selection.addRange(range);
+        }
 
         console.log('👻 Real-time suggestion shown:', suggestion);
         return true;
@@ -269,8 +903,147 @@ if (window.emailCopilotInjected) {
       }
     }
 
+    /**
+     * Grow the visible ghost text as streamed tokens arrive
+     */
+    updateSuggestion(suggestion) {
+      if (!this.activeGhost || !suggestion) {
+        return false;
+      }
+      
+      suggestion = this.fitSuggestion(suggestion);
+      this.currentSuggestion = suggestion;
+      this.activeGhost.textContent = suggestion;
+      this.positionIndicator();
+      return true;
+    }
+
+    /**
+     * What the visible ghost offers, taken before input hides it, so typing
+     * its first characters can keep the rest. Insertions and snippets can't
+     * be typed along.
+     */
+    getTypingState() {
+      if (!this.activeGhost || this.insertionContext || this.replaceLength) {
+        return null;
+      }
+      
+      return {
+        element: this.targetElement,
+        baseText: this.baseText,
+        requestText: this.requestText,
+        suggestion: this.currentSuggestion,
+        candidates: this.candidates
+      };
+    }
+
+    /**
+     * Show the rest of a ghost whose start the user just typed
+     * @param {Object|null} state - Result of getTypingState before the input
+     * @param {HTMLElement} element - Compose element
+     * @param {Object} textInfo - Result of getTextAndCursor after the input
+     * @returns {boolean} - Whether the typed text matched and the rest is shown
+     */
+    consumeTyped(state, element, textInfo) {
+      if (!state || state.element !== element) return false;
+      
+      const current = textInfo.textBeforeCursor;
+      const remainder = remainingSuggestion(state.baseText, current, state.suggestion);
+      if (!remainder || current === state.baseText) return false;
+      
+      const candidates = [...new Set([state.suggestion, ...state.candidates]
+        .map(candidate => remainingSuggestion(state.baseText, current, candidate))
+        .filter(Boolean))];
+      
+      if (!this.showSuggestion(element, remainder, textInfo, { requestText: state.requestText })) {
+        return false;
+      }
+      this.setCandidates(candidates);
+      return true;
+    }
+
+    /**
+     * Register the alternatives for the visible ghost; the first is the one shown
+     */
+    setCandidates(candidates) {
+      if (!this.activeGhost) return;
+      
+      this.candidates = candidates || [];
+      this.candidateIndex = 0;
+      this.positionIndicator();
+    }
+
+    /**
+     * Show the next (1) or previous (-1) alternative
+     */
+    cycleSuggestion(direction) {
+      if (!this.activeGhost || this.candidates.length < 2) {
+        return false;
+      }
+      
+      const count = this.candidates.length;
+      this.candidateIndex = (this.candidateIndex + direction + count) % count;
+      this.updateSuggestion(this.candidates[this.candidateIndex]);
+      return true;
+    }
+
+    getCandidateIndex() {
+      return this.candidateIndex;
+    }
+
+    /**
+     * Small "2/3" badge after the end of the ghost text
+     */
+    positionIndicator() {
+      if (!this.activeGhost || this.candidates.length < 2) {
+        this.removeIndicator();
+        return;
+      }
+      
+      if (!this.indicator) {
+        this.indicator = document.createElement('div');
+        this.indicator.className = 'copilot-candidate-indicator';
+        document.body.appendChild(this.indicator);
+      }
+      
+      this.indicator.textContent = `${this.candidateIndex + 1}/${this.candidates.length}`;
+      
+      const rects = this.activeGhost.getClientRects();
+      const lastRect = rects[rects.length - 1];
+      if (lastRect) {
+        this.indicator.style.left = `${lastRect.right + 6}px`;
+        this.indicator.style.top = `${lastRect.top}px`;
+      }
+    }
+
+    removeIndicator() {
+      if (this.indicator) {
+        this.indicator.remove();
+        this.indicator = null;
+      }
+    }
+
+    /**
+     * Keep a text field's ghost overlay on the field as it scrolls
+     */
+    syncOverlay() {
+      if (!this.overlay || !this.targetElement) return;
+      
+      syncTextFieldOverlay(this.overlay, this.targetElement);
+      this.positionIndicator();
+    }
+
+    removeOverlay() {
+      if (this.overlay) {
+        this.targetElement?.removeEventListener('scroll', this.syncOverlay);
+        this.overlay.remove();
+        this.overlay = null;
+      }
+    }
+
     hideSuggestion() {
-      if (this.activeGhost) {
+      // A text field's ghost is in the overlay, away from the cursor
+      if (this.activeGhost && !this.overlay) {
         try {
           // Store cursor position before removing ghost
           const selection = window.getSelection();
@@ -307,20 +1080,25 @@ if (window.emailCopilotInjected) {
       }
 
       try {
-        // Replace ghost with actual text
-        const textNode = document.createTextNode(this.currentSuggestion);
-        this.activeGhost.parentNode.replaceChild(textNode, this.activeGhost);
-        
-        // Position cursor after inserted text
-        const selection = window.getSelection();
-        const range = document.createRange();
-        range.setStartAfter(textNode);
-        range.collapse(true);
-        selection.removeAllRanges();
-        selection.addRange(range);
+        this.removeReplacedText();
         
-        // Trigger input event
-        this.targetElement.dispatchEvent(new Event('input', { bubbles: true }));
+        if (this.overlay) {
+          // TextUtils triggers the input event
+          this.activeGhost.remove();
+          TextUtils.insertTextAtCursor(this.targetElement, this.currentSuggestion);
+        } else {
+          // Replace ghost with actual text, as Gmail line blocks when it spans lines
+          const range = insertMultilineText(this.targetElement, this.activeGhost, this.currentSuggestion);
+          this.activeGhost.remove();
+          
+          // Position cursor after inserted text
+          const selection = window.getSelection();
+          selection.removeAllRanges();
+          selection.addRange(range);
+          
+          // Trigger input event
+          this.targetElement.dispatchEvent(new Event('input', { bubbles: true }));
+        }
         
         this.cleanup();
         console.log('✅ Suggestion accepted:', this.currentSuggestion);
@@ -333,11 +1111,122 @@ if (window.emailCopilotInjected) {
       }
     }
 
-    cleanup() {
-      this.activeGhost = null;
-      this.targetElement = null;
-      this.currentSuggestion = '';
-    }
+    /**
+     * Accept the next word or sentence of the ghost, keeping the rest as ghost text
+     * @param {'word'|'sentence'} unit - How much to accept
+     * @returns {string|null} - The accepted text, or null if nothing was accepted
+     */
+    acceptPartial(unit) {
+      if (!this.activeGhost || !this.currentSuggestion) {
+        return null;
+      }
+      
+      const suggestion = this.currentSuggestion;
+      const pattern = unit === 'word'
+        ? /^\s*\S+/
+        : /^[^\n]*?[.!?]+["')\]]*(?=\s|$)|^[^\n]*\n?/;
+      const accepted = suggestion.match(pattern)?.[0] || suggestion;
+      const remainder = suggestion.slice(accepted.length);
+      
+      // Nothing meaningful left: this is a full accept
+      if (!remainder.trim()) {
+        return this.acceptSuggestion() ? suggestion : null;
+      }
+      
+      try {
+        this.baseText = this.baseText.slice(0, this.baseText.length - this.replaceLength) + accepted;
+        this.removeReplacedText();
+        const range = this.overlay ? null : insertMultilineText(this.targetElement, this.activeGhost, accepted);
+        
+        this.currentSuggestion = remainder;
+        this.activeGhost.textContent = remainder;
+        
+        // The alternatives no longer line up with what's left
+        this.candidates = [];
+        this.candidateIndex = 0;
+        this.removeIndicator();
+        
+        // Cursor goes between the accepted text and the remaining ghost
+        if (range) {
+          const selection = window.getSelection();
+          selection.removeAllRanges();
+          selection.addRange(range);
+        }
+        
+        // Let the page register the change without the processor dismissing the ghost
+        this.isApplyingEdit = true;
+        try {
+          if (this.overlay) {
+            TextUtils.insertTextAtCursor(this.targetElement, accepted);
+          } else {
+            this.targetElement.dispatchEvent(new Event('input', { bubbles: true }));
+          }
+        } finally {
+          this.isApplyingEdit = false;
+        }
+        this.syncOverlay();
+        
+        console.log('✅ Partial suggestion accepted:', accepted);
+        return accepted;
+        
+      } catch (error) {
+        console.error('❌ Failed to accept partial suggestion:', error);
+        this.hideSuggestion();
+        return null;
+      }
+    }
+
+    /**
+     * Delete the characters the suggestion replaces, just before the ghost
+     */
+    removeReplacedText() {
+      if (!this.replaceLength) return;
+      
+      if (this.overlay) {
+        deleteTextFieldBefore(this.targetElement, this.replaceLength);
+        this.replaceLength = 0;
+        return;
+      }
+      
+      const boundary = document.createRange();
+      boundary.setStartBefore(this.activeGhost);
+      deleteTextBefore(this.targetElement, boundary, this.replaceLength);
+      this.replaceLength = 0;
+    }
+
+    /**
+     * Pad an insertion with the spaces needed to sit between the surrounding
+     * words; suggestions arrive trimmed
+     */
+    fitSuggestion(suggestion) {
+      if (!this.insertionContext) return suggestion;
+      
+      const { before, after } = this.insertionContext;
+      let fitted = suggestion;
+      
+      if (/\S$/.test(before) && /^[\w("'“]/.test(fitted)) {
+        fitted = ` ${fitted}`;
+      }
+      if (/^[\w("'“]/.test(after) && /\S$/.test(fitted)) {
+        fitted = `${fitted} `;
+      }
+      
+      return fitted;
+    }
+
+    cleanup() {
+      this.removeIndicator();
+      this.removeOverlay();
+      this.activeGhost = null;
+      this.targetElement = null;
+      this.currentSuggestion = '';
+      this.insertionContext = null;
+      this.candidates = [];
+      this.candidateIndex = 0;
+      this.replaceLength = 0;
+      this.baseText = '';
+      this.requestText = null;
+    }
 
     hasActiveSuggestion() {
       return this.activeGhost !== null;
@@ -349,246 +1238,1765 @@ if (window.emailCopilotInjected) {
   }
 
   // =============================================================================
-  // REAL-TIME INPUT PROCESSOR
+  // COMPOSE CONTEXT EXTRACTOR
   // =============================================================================
 
-  class RealTimeInputProcessor {
-    constructor(suggestionEngine, ghostRenderer) {
-      this.suggestionEngine = suggestionEngine;
-      this.ghostRenderer = ghostRenderer;
-      this.activeElement = null;
-      this.isProcessing = false;
-      this.lastProcessedText = '';
-      this.processingTimeout = null;
+  /**
+   * Gathers structured context for a compose element: subject, recipients,
+   * the thread being replied to, the body after the cursor and the signature.
+   * Everything is trimmed to a rough token budget (~4 characters per token).
+   */
+  class ComposeContextExtractor {
+    constructor() {
+      this.tokenBudget = 1500;
+      this.charsPerToken = 4;
+      this.limits = {
+        textAfterCursor: 600,
+        signature: 300
+      };
+    }
+
+    extract(element, textInfo) {
+      try {
+        const root = this.getComposeRoot(element);
+        
+        const context = {
+          subject: this.getSubject(root),
+          to: this.getRecipients(root, 'to'),
+          cc: this.getRecipients(root, 'cc'),
+          textAfterCursor: this.truncateStart(
+            this.getTextAfterCursor(element, textInfo),
+            this.limits.textAfterCursor
+          ),
+          signature: this.truncateStart(this.getSignature(element), this.limits.signature),
+          site: siteAdapter === GENERIC_ADAPTER ? location.hostname : '',
+          thread: ''
+        };
+        
+        // The thread gets whatever budget is left, keeping the most recent text
+        const used = JSON.stringify(context).length;
+        const remaining = this.tokenBudget * this.charsPerToken - used;
+        if (remaining > 0) {
+          context.thread = this.truncateEnd(this.getThread(element, root), remaining);
+        }
+        
+        return context;
+      } catch (error) {
+        console.error('📧 Failed to extract compose context:', error);
+        return {};
+      }
+    }
+
+    /**
+     * Walk up from the body to the smallest container that holds the
+     * compose header (subject or recipient fields)
+     */
+    getComposeRoot(element) {
+      let node = siteAdapter.composeHeaderSelector ? element.parentElement : null;
+      while (node && node !== document.body) {
+        if (node.querySelector(siteAdapter.composeHeaderSelector)) {
+          return node;
+        }
+        node = node.parentElement;
+      }
+      return element.closest(siteAdapter.composeRootFallbackSelector) || element.parentElement || document.body;
+    }
+
+    getSubject(root) {
+      const subjectElement = siteAdapter.subjectSelector &&
+        (root.querySelector(siteAdapter.subjectSelector) || document.querySelector(siteAdapter.subjectSelector));
+      if (subjectElement?.value) {
+        return subjectElement.value.trim();
+      }
       
-      // Debounce for API calls only (not for hiding suggestions)
-      this.debouncedApiCall = debounce(this.makeApiCall.bind(this), 200);
+      // Inline replies have no subject field; use the conversation heading
+      const threadSubject = document.querySelector(siteAdapter.threadSubjectSelector);
+      return threadSubject?.textContent.trim() || '';
     }
 
-    attachToElement(element) {
-      if (element.hasAttribute('data-copilot-attached')) return;
+    /**
+     * Recipients of a field, without duplicates
+     * @returns {{name: string, email: string}[]}
+     */
+    getRecipients(root, field) {
+      const seen = new Set();
       
-      element.setAttribute('data-copilot-attached', 'true');
+      return siteAdapter.getRecipients(root, field).filter(({ name, email }) => {
+        const key = (email || name || '').toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }).map(({ name, email }) => ({ name: name || '', email: email || '' }));
+    }
+
+    /**
+     * Body text after the cursor, minus the signature, quoted thread and ghost
+     */
+    getTextAfterCursor(element, textInfo) {
+      if (isTextField(element)) return textInfo?.textAfterCursor.trim() || '';
+      if (!textInfo?.range) return '';
       
-      // Real-time input handler - NO debouncing
-      element.addEventListener('input', this.handleInput.bind(this));
-      element.addEventListener('keydown', this.handleKeyDown.bind(this));
-      element.addEventListener('compositionstart', this.handleCompositionStart.bind(this));
-      element.addEventListener('compositionend', this.handleCompositionEnd.bind(this));
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      range.setStart(textInfo.range.endContainer, textInfo.range.endOffset);
       
-      console.log('📧 Real-time processor attached to element');
+      const fragment = range.cloneContents();
+      fragment.querySelectorAll(getExcludedContentSelector())
+        .forEach(node => node.remove());
+      
+      return fragment.textContent.trim();
     }
 
-    handleInput(event) {
-      const element = event.target;
-      this.activeElement = element;
+    /**
+     * The text the user wrote, with line breaks, minus the signature, quoted thread and ghost
+     */
+    getComposedText(element) {
+      if (isTextField(element)) return element.value.trim();
+      
+      const contents = document.createRange();
+      contents.selectNodeContents(element);
+      return getTextWithLineBreaks(contents.cloneContents());
+    }
 
-      // Hide suggestion immediately on any input
-      this.ghostRenderer.hideSuggestion();
+    getSignature(element) {
+      const signature = siteAdapter.signatureSelector && element.querySelector(siteAdapter.signatureSelector);
+      return signature ? signature.innerText.trim() : '';
+    }
 
-      // Don't process if user is selecting text
-      if (hasTextSelection()) {
-        return;
+    /**
+     * The quoted thread inside the body, or the conversation messages
+     * visible above an inline reply
+     */
+    getThread(element, root) {
+      const quote = siteAdapter.quoteSelector && element.querySelector(siteAdapter.quoteSelector);
+      if (quote) {
+        return quote.innerText.trim();
+      }
+      
+      return this.getConversationMessages(message => !message.contains(element) && !root.contains(message))
+        .map(({ sender, text }) => `${sender}:\n${text}`)
+        .join('\n\n');
+    }
+
+    /**
+     * The expanded messages of the open conversation, oldest first
+     * @param {Function} [filter] - Keeps a message element when it returns true
+     * @returns {{element: HTMLElement, id: string, sender: string, senderEmail: string, text: string}[]}
+     */
+    getConversationMessages(filter = () => true) {
+      if (!siteAdapter.messageSelector) return [];
+      
+      return [...document.querySelectorAll(siteAdapter.messageSelector)].filter(filter).map(message => {
+        const sender = message.querySelector(siteAdapter.messageSenderSelector);
+        const body = message.querySelector(siteAdapter.messageBodySelector);
+        if (!body) return null;
+        
+        const text = this.getMessageText(body);
+        return {
+          element: message,
+          id: siteAdapter.getMessageId(message) || text.slice(0, 100),
+          sender: sender?.getAttribute('name') || sender?.textContent.trim() || 'Unknown',
+          senderEmail: sender?.getAttribute('email') ||
+            (sender?.getAttribute('title') || sender?.textContent || '').match(EMAIL_PATTERN)?.[0] || '',
+          text
+        };
+      }).filter(Boolean);
+    }
+
+    /**
+     * Message body text without its own quoted history
+     */
+    getMessageText(body) {
+      const clone = body.cloneNode(true);
+      clone.querySelectorAll(siteAdapter.messageQuoteSelector).forEach(node => node.remove());
+      return (clone.innerText || clone.textContent).trim();
+    }
+
+    truncateStart(text, maxLength) {
+      return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+    }
+
+    truncateEnd(text, maxLength) {
+      return text.length > maxLength ? `…${text.slice(-maxLength)}` : text;
+    }
+  }
+
+  // =============================================================================
+  // SNIPPET EXPANDER
+  // =============================================================================
+
+  /**
+   * Expands the user's snippet abbreviations locally, without calling the AI.
+   * Placeholders such as {{firstName}} and {{date}} are filled from the compose context.
+   */
+  class SnippetExpander {
+    constructor() {
+      this.snippets = [];
+    }
+
+    async loadSnippets() {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'get_snippets' });
+        if (response?.success) {
+          this.setSnippets(response.snippets);
+        }
+      } catch (error) {
+        console.error('Failed to load snippets:', error);
       }
+    }
+
+    setSnippets(snippets) {
+      // Longest first so ";sig2" wins over ";sig"
+      this.snippets = (snippets || [])
+        .filter(snippet => snippet.abbreviation && snippet.body)
+        .sort((a, b) => b.abbreviation.length - a.abbreviation.length);
+    }
+
+    /**
+     * The snippet whose abbreviation the text ends with, as a whole word
+     */
+    match(text) {
+      return this.snippets.find(snippet => {
+        if (!text.endsWith(snippet.abbreviation)) return false;
+        const before = text.slice(0, -snippet.abbreviation.length);
+        return !before || /\s$/.test(before);
+      }) || null;
+    }
+
+    expand(snippet, context = {}) {
+      const recipient = context.to?.[0] || {};
+      const fullName = recipient.name || this.nameFromEmail(recipient.email);
+      const [firstName = '', ...otherNames] = fullName.split(/\s+/).filter(Boolean);
+      const now = new Date();
+      
+      const values = {
+        firstName,
+        lastName: otherNames.join(' '),
+        fullName,
+        name: fullName,
+        email: recipient.email || '',
+        subject: context.subject || '',
+        date: now.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+        time: now.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' }),
+        day: now.toLocaleDateString(undefined, { weekday: 'long' })
+      };
+      
+      // Unknown placeholders are left in place for the user to fill in
+      return snippet.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder);
+    }
+
+    /**
+     * "jane.doe@example.com" -> "Jane Doe"
+     */
+    nameFromEmail(email) {
+      if (!email) return '';
+      return email.split('@')[0]
+        .split(/[._-]+/)
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join(' ');
+    }
+  }
+
+  // =============================================================================
+  // DRAFT COMPOSER
+  // =============================================================================
+
+  /**
+   * Turns a "/draft <instruction>" line into a whole email written from the
+   * instruction, the recipients and the thread
+   */
+  class DraftComposer {
+    constructor(contextExtractor, toneSelector, siteRules) {
+      this.contextExtractor = contextExtractor;
+      this.toneSelector = toneSelector;
+      this.siteRules = siteRules;
+      // "/draft" on its own word, so URLs and words like "/drafts" don't count
+      this.commandPattern = /(?:^|\s)(\/draft\s+(.+))$/;
+      this.isDrafting = false;
+    }
+
+    /**
+     * The instruction typed after the "/draft" command before the cursor
+     * @returns {{instruction: string, length: number}|null} - The instruction
+     *   and the length of the whole command to replace
+     */
+    findInstruction(textBeforeCursor) {
+      const match = textBeforeCursor.match(this.commandPattern);
+      const instruction = match?.[2].trim();
+      if (!instruction) return null;
+      
+      return { instruction, length: match[1].length };
+    }
 
+    /**
+     * Whether there's a "/draft ..." instruction before the cursor
+     * @returns {boolean}
+     */
+    hasInstruction(element) {
       const textInfo = getTextAndCursor(element);
-      if (!textInfo) return;
+      return Boolean(textInfo && this.findInstruction(textInfo.textBeforeCursor));
+    }
 
-      const currentText = textInfo.textBeforeCursor;
+    /**
+     * Generate a draft and put it in place of the command
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async compose(element) {
+      const textInfo = getTextAndCursor(element);
+      const command = textInfo && this.findInstruction(textInfo.textBeforeCursor);
+      if (!command) {
+        return { success: false, error: 'Type "/draft" followed by what the email should say' };
+      }
       
-      // Check if we should trigger suggestion
-      if (this.shouldTriggerSuggestion(currentText, textInfo)) {
-        // Clear any pending API call
-        if (this.processingTimeout) {
-          clearTimeout(this.processingTimeout);
+      const context = this.contextExtractor.extract(element, textInfo);
+      const blockingRule = this.siteRules.findBlockingRule(context);
+      if (blockingRule) {
+        return { success: false, error: `Drafting is turned off by ${this.siteRules.describe(blockingRule)}` };
+      }
+      
+      this.isDrafting = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'generate_draft',
+          instruction: command.instruction,
+          context,
+          tone: this.toneSelector.getTone(element)
+        });
+        
+        if (!response?.success) {
+          return { success: false, error: response?.error || 'Draft generation failed' };
         }
         
-        // Trigger API call with short delay
-        this.processingTimeout = setTimeout(() => {
-          this.debouncedApiCall(currentText, textInfo);
-        }, 50); // Very short delay for responsive feel
+        // The user may have kept typing while the draft was generated
+        const currentTextInfo = getTextAndCursor(element);
+        const currentCommand = currentTextInfo && this.findInstruction(currentTextInfo.textBeforeCursor);
+        if (!currentCommand || currentCommand.instruction !== command.instruction) {
+          return { success: false, error: 'The text changed while drafting, so the draft was discarded' };
+        }
+        
+        this.insertDraft(element, currentTextInfo, currentCommand.length, response.draft);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      } finally {
+        this.isDrafting = false;
+      }
+    }
+
+    insertDraft(element, textInfo, commandLength, draft) {
+      if (isTextField(element)) {
+        deleteTextFieldBefore(element, commandLength);
+        TextUtils.insertTextAtCursor(element, draft);
+        console.log('✍️ Draft inserted:', draft.slice(0, 60));
+        return;
+      }
+      
+      const range = deleteTextBefore(element, textInfo.range, commandLength);
+      const lastLine = insertTextBlocks(element, range, draft);
+      
+      // Cursor goes to the end of the draft
+      const caret = document.createRange();
+      caret.selectNodeContents(lastLine);
+      caret.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(caret);
+      
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      console.log('✍️ Draft inserted:', draft.slice(0, 60));
+    }
+  }
+
+  // =============================================================================
+  // SELECTION REWRITER
+  // =============================================================================
+
+  /**
+   * Floating menu for a text selection in the compose body. The rewrite is
+   * previewed in place: the original struck through, the new text as ghost
+   * text after it, until the user accepts with Tab or discards with Esc.
+   */
+  class SelectionRewriter {
+    constructor(contextExtractor, toneSelector, siteRules) {
+      this.contextExtractor = contextExtractor;
+      this.toneSelector = toneSelector;
+      this.siteRules = siteRules;
+      this.menu = null;
+      this.preview = null;
+      this.isRewriting = false;
+      this.highlightName = 'copilot-rewrite-original';
+      this.surroundingLength = 400;
+      this.actions = [
+        { id: 'shorten', label: 'Shorten' },
+        { id: 'expand', label: 'Expand' },
+        { id: 'grammar', label: 'Fix grammar' },
+        { id: 'tone', label: 'Change tone…' }
+      ];
+
+      this.handleDocumentMouseDown = this.handleDocumentMouseDown.bind(this);
+    }
+
+    /**
+     * Show the menu for a selection inside the compose element, or hide it
+     */
+    handleSelection(element) {
+      if (this.isRewriting || this.preview) return;
+
+      const selection = window.getSelection();
+      const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+      if (!range || range.collapsed || !element.contains(range.commonAncestorContainer) ||
+          range.toString().trim().length < 3) {
+        this.hideMenu();
+        return;
+      }
+
+      this.showMenu(element, range.cloneRange());
+    }
+
+    showMenu(element, range) {
+      this.hideMenu();
+
+      this.menu = document.createElement('div');
+      this.menu.className = 'copilot-rewrite-menu';
+      // Keep the selection while clicking the menu
+      this.menu.addEventListener('mousedown', (event) => event.preventDefault());
+      this.renderActions(element, range);
+
+      const rect = range.getBoundingClientRect();
+      this.menu.style.left = `${Math.max(8, rect.left)}px`;
+      this.menu.style.top = `${rect.bottom + 6}px`;
+      document.body.appendChild(this.menu);
+      document.addEventListener('mousedown', this.handleDocumentMouseDown, true);
+    }
+
+    renderActions(element, range) {
+      this.menu.replaceChildren(...this.actions.map(action => this.createMenuButton(action.label, () => {
+        if (action.id === 'tone') {
+          this.renderTones(element, range);
+        } else {
+          this.rewrite(element, range, action.id);
+        }
+      })));
+    }
+
+    renderTones(element, range) {
+      this.menu.replaceChildren(...this.toneSelector.tones.map(tone =>
+        this.createMenuButton(tone.name, () => this.rewrite(element, range, 'tone', tone.id))));
+    }
+
+    createMenuButton(label, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'copilot-rewrite-action';
+      button.textContent = label;
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        onClick();
+      });
+      return button;
+    }
+
+    handleDocumentMouseDown(event) {
+      if (this.menu && !this.menu.contains(event.target)) {
+        this.hideMenu();
+      }
+    }
+
+    hideMenu() {
+      if (!this.menu) return;
+      this.menu.remove();
+      this.menu = null;
+      document.removeEventListener('mousedown', this.handleDocumentMouseDown, true);
+    }
+
+    showMenuMessage(message, hideAfter = 0) {
+      if (!this.menu) return;
+      const status = document.createElement('span');
+      status.className = 'copilot-rewrite-status';
+      status.textContent = message;
+      this.menu.replaceChildren(status);
+      if (hideAfter) {
+        const menu = this.menu;
+        setTimeout(() => {
+          if (this.menu === menu) this.hideMenu();
+        }, hideAfter);
+      }
+    }
+
+    async rewrite(element, range, action, tone = '') {
+      const original = range.toString();
+      const text = getTextWithLineBreaks(range.cloneContents());
+
+      const before = document.createRange();
+      before.selectNodeContents(element);
+      before.setEnd(range.startContainer, range.startOffset);
+
+      const context = this.contextExtractor.extract(element, { range });
+      const blockingRule = this.siteRules.findBlockingRule(context);
+      if (blockingRule) {
+        this.showMenuMessage(`Rewriting is turned off by ${this.siteRules.describe(blockingRule)}`, 2500);
+        return;
+      }
+
+      this.isRewriting = true;
+      this.showMenuMessage('Rewriting…');
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'rewrite_text',
+          action,
+          tone: tone || this.toneSelector.getTone(element),
+          text,
+          before: before.toString().slice(-this.surroundingLength),
+          after: this.contextExtractor.getTextAfterCursor(element, { range }).slice(0, this.surroundingLength),
+          context
+        });
+
+        if (!response?.success) {
+          this.showMenuMessage(response?.error || 'Rewrite failed', 2500);
+          return;
+        }
+
+        // Give up if the selected text was edited while waiting
+        if (range.toString() !== original) {
+          this.showMenuMessage('The text changed, so the rewrite was discarded', 2500);
+          return;
+        }
+
+        this.hideMenu();
+        this.showPreview(element, range, response.text);
+      } catch (error) {
+        this.showMenuMessage(error.message, 2500);
+      } finally {
+        this.isRewriting = false;
+      }
+    }
+
+    showPreview(element, range, text) {
+      const ghost = document.createElement('span');
+      ghost.className = 'copilot-ghost-suggestion copilot-rewrite-ghost';
+      ghost.textContent = text;
+      ghost.setAttribute('data-copilot-ghost', 'true');
+
+      const end = range.cloneRange();
+      end.collapse(false);
+      end.insertNode(ghost);
+
+      if (typeof Highlight !== 'undefined' && CSS.highlights) {
+        CSS.highlights.set(this.highlightName, new Highlight(range));
+      }
+
+      // Collapse the selection so typing doesn't replace the original
+      const caret = document.createRange();
+      caret.setStartAfter(ghost);
+      caret.collapse(true);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(caret);
+
+      this.preview = { element, range, ghost, text };
+      console.log('✏️ Rewrite preview shown:', text);
+    }
+
+    hasPreview() {
+      return this.preview !== null;
+    }
+
+    acceptPreview() {
+      if (!this.preview) return false;
+
+      const { element, range, ghost, text } = this.preview;
+      this.clearPreview();
+
+      try {
+        const lastNode = insertLinesBefore(ghost, text);
+        ghost.remove();
+        range.deleteContents();
+
+        const caret = document.createRange();
+        caret.setStartAfter(lastNode);
+        caret.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(caret);
+
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        console.log('✅ Rewrite accepted');
+        return true;
+      } catch (error) {
+        console.error('❌ Failed to apply rewrite:', error);
+        ghost.remove();
+        return false;
       }
     }
 
-    handleKeyDown(event) {
-      const key = event.key;
-      
-      // Handle Tab to accept suggestion
-      if (key === 'Tab' && this.ghostRenderer.hasActiveSuggestion()) {
-        event.preventDefault();
-        event.stopPropagation();
-        this.ghostRenderer.acceptSuggestion();
-        return;
-      }
-      
-      // Handle Escape to dismiss suggestion
-      if (key === 'Escape' && this.ghostRenderer.hasActiveSuggestion()) {
-        event.preventDefault();
-        event.stopPropagation();
-        this.ghostRenderer.hideSuggestion();
-        return;
-      }
-      
-      // Handle Ctrl+Space for manual trigger
-      if (event.ctrlKey && key === ' ') {
-        event.preventDefault();
-        event.stopPropagation();
-        this.triggerManualSuggestion();
+    discardPreview() {
+      if (!this.preview) return;
+      this.preview.ghost.remove();
+      this.clearPreview();
+    }
+
+    clearPreview() {
+      if (typeof Highlight !== 'undefined' && CSS.highlights) {
+        CSS.highlights.delete(this.highlightName);
+      }
+      this.preview = null;
+    }
+
+    cleanup() {
+      this.discardPreview();
+      this.hideMenu();
+    }
+  }
+
+  // =============================================================================
+  // SITE RULES
+  // =============================================================================
+
+  /**
+   * User rules that turn suggestions off for a site, a signed-in account
+   * (Gmail's u/0, u/1… or the account address) or recipients matching a
+   * pattern such as *@legal.example.com. Checked before every request.
+   */
+  class SiteRules {
+    constructor() {
+      this.rules = [];
+      this.typeLabels = {
+        site: 'Site',
+        account: 'Account',
+        recipient: 'Recipient'
+      };
+    }
+
+    setRules(rules) {
+      this.rules = Array.isArray(rules) ? rules.filter(rule => rule?.pattern) : [];
+    }
+
+    /**
+     * The first rule that turns suggestions off for this compose, if any
+     * @param {Object} context - Compose context from the extractor
+     * @returns {Object|null}
+     */
+    findBlockingRule(context = {}) {
+      return this.rules.find(rule => this.matches(rule, context)) || null;
+    }
+
+    /**
+     * The first rule that turns the AI off for an open conversation; its
+     * senders are who a reply would go to
+     * @param {Object[]} messages - Conversation messages from the extractor
+     * @returns {Object|null}
+     */
+    findBlockingRuleForConversation(messages) {
+      return this.findBlockingRule({
+        to: messages
+          .filter(message => message.senderEmail)
+          .map(message => ({ name: message.sender, email: message.senderEmail }))
+      });
+    }
+
+    matches(rule, context) {
+      switch (rule.type) {
+        case 'site':
+          return this.matchesPattern(rule.pattern, location.hostname);
+        case 'account':
+          return this.matchesAccount(rule.pattern);
+        case 'recipient':
+          return [...(context.to || []), ...(context.cc || [])]
+            .some(({ email }) => email && this.matchesPattern(rule.pattern, email));
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * "u/1" or "1" matches Gmail's account index; anything else is matched
+     * against the signed-in account's address
+     */
+    matchesAccount(pattern) {
+      const index = pattern.trim().replace(/^u\//i, '');
+      if (/^\d+$/.test(index)) {
+        const accountIndex = location.pathname.match(/\/u\/(\d+)(?:\/|$)/)?.[1];
+        return accountIndex === index;
+      }
+      
+      const account = siteAdapter.getAccountEmail();
+      return Boolean(account) && this.matchesPattern(pattern, account);
+    }
+
+    /**
+     * Case-insensitive match where * stands for any run of characters
+     */
+    matchesPattern(pattern, value) {
+      const source = pattern.trim()
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`, 'i').test(value);
+    }
+
+    describe(rule) {
+      const label = this.typeLabels[rule.type] || 'Unknown';
+      return `${label} rule "${rule.pattern}"`;
+    }
+  }
+
+  // =============================================================================
+  // DEBUG OVERLAY
+  // =============================================================================
+
+  /**
+   * Small log in the corner of the page explaining what the copilot is
+   * doing, e.g. which rule blocked a suggestion. Off unless enabled in the popup.
+   */
+  class DebugOverlay {
+    constructor() {
+      this.enabled = false;
+      this.panel = null;
+      this.entries = [];
+      this.maxEntries = 6;
+    }
+
+    setEnabled(enabled) {
+      this.enabled = enabled;
+      if (enabled) {
+        this.render();
+      } else {
+        this.cleanup();
+      }
+    }
+
+    log(message) {
+      const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      this.entries = [...this.entries, `${time}  ${message}`].slice(-this.maxEntries);
+      this.render();
+    }
+
+    render() {
+      if (!this.enabled) return;
+      
+      if (!this.panel?.isConnected) {
+        this.panel = document.createElement('div');
+        this.panel.className = 'copilot-debug-overlay';
+        document.body.appendChild(this.panel);
+      }
+      
+      const title = document.createElement('div');
+      title.className = 'copilot-debug-title';
+      title.textContent = `Email Copilot debug · ${siteAdapter.name}`;
+      
+      const lines = this.entries.map(entry => {
+        const line = document.createElement('div');
+        line.textContent = entry;
+        return line;
+      });
+      
+      this.panel.replaceChildren(title, ...lines);
+    }
+
+    cleanup() {
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
+    }
+  }
+
+  // =============================================================================
+  // REAL-TIME INPUT PROCESSOR
+  // =============================================================================
+
+  class RealTimeInputProcessor {
+    constructor(suggestionEngine, ghostRenderer, contextExtractor, toneSelector, snippetExpander, draftComposer,
+      selectionRewriter, siteRules, debugOverlay) {
+      this.suggestionEngine = suggestionEngine;
+      this.ghostRenderer = ghostRenderer;
+      this.contextExtractor = contextExtractor;
+      this.toneSelector = toneSelector;
+      this.snippetExpander = snippetExpander;
+      this.draftComposer = draftComposer;
+      this.selectionRewriter = selectionRewriter;
+      this.siteRules = siteRules;
+      this.debugOverlay = debugOverlay;
+      this.activeElement = null;
+      this.isProcessing = false;
+      this.lastProcessedText = '';
+      this.processingTimeout = null;
+      this.fillInMiddle = true;
+      this.autoTriggerPausedUntil = 0;
+      
+      // Debounce for API calls only (not for hiding suggestions)
+      this.debouncedApiCall = debounce(this.makeApiCall.bind(this), 200);
+    }
+
+    attachToElement(element) {
+      if (element.hasAttribute('data-copilot-attached')) return;
+      
+      element.setAttribute('data-copilot-attached', 'true');
+      
+      // Real-time input handler - NO debouncing
+      element.addEventListener('input', this.handleInput.bind(this));
+      element.addEventListener('keydown', this.handleKeyDown.bind(this));
+      element.addEventListener('compositionstart', this.handleCompositionStart.bind(this));
+      element.addEventListener('compositionend', this.handleCompositionEnd.bind(this));
+      element.addEventListener('mouseup', this.handleSelectionChange.bind(this));
+      element.addEventListener('keyup', this.handleSelectionChange.bind(this));
+      
+      console.log('📧 Real-time processor attached to element');
+    }
+
+    handleInput(event) {
+      // Input events we dispatch ourselves after a partial accept, and
+      // typing while a draft is being written
+      if (this.ghostRenderer.isApplyingEdit || this.draftComposer.isDrafting) return;
+      
+      const element = event.target;
+      this.activeElement = element;
+
+      // Hide suggestion immediately on any input
+      const typingState = this.ghostRenderer.getTypingState();
+      this.ghostRenderer.hideSuggestion();
+      this.selectionRewriter.discardPreview();
+
+      // Abort in-flight requests as soon as their suggestion no longer fits
+      const textInfo = hasTextSelection(element) ? null : getTextAndCursor(element);
+      this.suggestionEngine.cancelDivergedRequests(textInfo?.textBeforeCursor ?? null);
+
+      // Selections get the rewrite menu instead of completions
+      if (!textInfo) return;
+
+      // Typing the start of the ghost shrinks it, without a new request
+      if (this.ghostRenderer.consumeTyped(typingState, element, textInfo)) {
+        return;
+      }
+
+      const currentText = textInfo.textBeforeCursor;
+      
+      // Snippet abbreviations expand instantly, without the AI
+      if (this.offerSnippet(element, textInfo)) {
+        return;
+      }
+      
+      // Check if we should trigger suggestion
+      if (this.shouldTriggerSuggestion(currentText, textInfo)) {
+        // Clear any pending API call
+        if (this.processingTimeout) {
+          clearTimeout(this.processingTimeout);
+        }
+        
+        // Trigger API call with short delay
+        this.processingTimeout = setTimeout(() => {
+          this.debouncedApiCall(currentText, textInfo);
+        }, 50); // Very short delay for responsive feel
+      }
+    }
+
+    /**
+     * Show the expansion of a snippet abbreviation just typed; accepting
+     * replaces the abbreviation with it
+     */
+    offerSnippet(element, textInfo) {
+      const snippet = this.snippetExpander.match(textInfo.textBeforeCursor);
+      if (!snippet) return false;
+      
+      const context = this.contextExtractor.extract(element, textInfo);
+      const expansion = this.snippetExpander.expand(snippet, context);
+      const shown = this.ghostRenderer.showSuggestion(element, expansion, textInfo, {
+        replaceLength: snippet.abbreviation.length
+      });
+      
+      if (shown) {
+        this.trackUsage('suggestion_shown');
+      }
+      return shown;
+    }
+
+    /**
+     * Offer rewrite actions once the user has selected text
+     */
+    handleSelectionChange(event) {
+      const element = event.currentTarget;
+      // Let the selection settle after the click or key
+      setTimeout(() => this.selectionRewriter.handleSelection(element), 0);
+    }
+
+    handleKeyDown(event) {
+      const key = event.key;
+      
+      // A rewrite preview takes Tab and Esc; any other key discards it
+      if (this.selectionRewriter.hasPreview()) {
+        if (key === 'Tab' || key === 'Escape') {
+          event.preventDefault();
+          event.stopPropagation();
+          if (key === 'Tab' && this.selectionRewriter.acceptPreview()) {
+            this.trackUsage('rewrite_accept');
+          } else if (key === 'Escape') {
+            this.selectionRewriter.discardPreview();
+            this.trackUsage('rewrite_reject');
+          }
+          return;
+        }
+        if (!['Shift', 'Control', 'Alt', 'Meta'].includes(key)) {
+          this.selectionRewriter.discardPreview();
+        }
+      }
+      
+      // Handle Tab to accept suggestion
+      if (key === 'Tab' && this.ghostRenderer.hasActiveSuggestion()) {
+        event.preventDefault();
+        event.stopPropagation();
+        const candidateIndex = this.ghostRenderer.getCandidateIndex();
+        if (this.ghostRenderer.acceptSuggestion()) {
+          this.trackUsage('accept', { candidateIndex });
+        }
+        return;
+      }
+      
+      // Handle Escape to dismiss suggestion
+      if (key === 'Escape' && this.ghostRenderer.hasActiveSuggestion()) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.ghostRenderer.hideSuggestion();
+        this.trackUsage('reject');
+        return;
+      }
+      
+      // Handle Alt+] / Alt+[ to cycle alternatives (code, since Alt changes key on macOS)
+      if (event.altKey && ['BracketRight', 'BracketLeft'].includes(event.code) &&
+          this.ghostRenderer.hasActiveSuggestion()) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.ghostRenderer.cycleSuggestion(event.code === 'BracketRight' ? 1 : -1);
+        return;
+      }
+      
+      // Handle partial accepts: Ctrl+Right for the next word,
+      // Ctrl+Shift+Right or End for the next sentence
+      if (this.ghostRenderer.hasActiveSuggestion()) {
+        let unit = null;
+        if (key === 'ArrowRight' && event.ctrlKey) {
+          unit = event.shiftKey ? 'sentence' : 'word';
+        } else if (key === 'End' && !event.ctrlKey && !event.shiftKey && !event.altKey && !event.metaKey) {
+          unit = 'sentence';
+        }
+        
+        if (unit) {
+          event.preventDefault();
+          event.stopPropagation();
+          const accepted = this.ghostRenderer.acceptPartial(unit);
+          if (accepted) {
+            this.trackUsage('partial_accept', { unit, length: accepted.length });
+          }
+          return;
+        }
+      }
+      
+      // Handle Alt+Enter to turn a "/draft ..." instruction into a full email;
+      // without one the shortcut is left to the page
+      if (event.altKey && key === 'Enter' && !event.ctrlKey && !event.metaKey &&
+          this.draftComposer.hasInstruction(event.currentTarget)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.generateDraft(event.currentTarget);
+        return;
+      }
+      
+      // Handle Ctrl+Space for manual trigger
+      if (event.ctrlKey && key === ' ') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.triggerManualSuggestion();
+        return;
+      }
+      
+      // Hide suggestion on navigation keys
+      if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(key)) {
+        this.ghostRenderer.hideSuggestion();
+        return;
+      }
+      
+      // Hide suggestion on backspace/delete
+      if (['Backspace', 'Delete'].includes(key)) {
+        this.ghostRenderer.hideSuggestion();
+        return;
+      }
+    }
+
+    handleCompositionStart() {
+      // Hide suggestions during IME composition
+      this.ghostRenderer.hideSuggestion();
+    }
+
+    handleCompositionEnd() {
+      // Trigger suggestion after composition ends
+      setTimeout(() => {
+        if (this.activeElement) {
+          const textInfo = getTextAndCursor(this.activeElement);
+          if (textInfo) {
+            this.handleInput({ target: this.activeElement });
+          }
+        }
+      }, 50);
+    }
+
+    shouldTriggerSuggestion(text, textInfo) {
+      // Don't trigger if text is too short
+      if (text.length < 8) return false;
+      
+      // Don't trigger if we just processed this text
+      if (text === this.lastProcessedText) return false;
+      
+      // Text after the cursor needs fill-in-the-middle, and only at a word boundary
+      if (this.getSuffix(textInfo)) {
+        if (!this.fillInMiddle) return false;
+        if (/\w$/.test(text) && /^\w/.test(textInfo.textAfterCursor)) return false;
+      }
+      
+      // Don't trigger if text ends with punctuation
+      if (/[.!?]\s*$/.test(text)) return false;
+      
+      // Don't trigger if currently processing
+      if (this.isProcessing) return false;
+      
+      // Don't trigger once a daily cap is reached
+      if (Date.now() < this.autoTriggerPausedUntil) return false;
+      
+      // Must have at least 2 words
+      const words = text.trim().split(/\s+/);
+      if (words.length < 2) return false;
+      
+      return true;
+    }
+
+    /**
+     * Body text after the cursor, ignoring the signature and quoted thread
+     */
+    getSuffix(textInfo) {
+      return this.contextExtractor.getTextAfterCursor(this.activeElement, textInfo);
+    }
+
+    /**
+     * @param {'auto'|'manual'} [trigger] - Manual requests go through when auto-trigger is paused
+     */
+    async makeApiCall(text, textInfo, trigger = 'auto') {
+      if (this.isProcessing) return;
+      
+      this.isProcessing = true;
+      this.lastProcessedText = text;
+      
+      try {
+        const currentTextInfo = getTextAndCursor(this.activeElement) || textInfo;
+        const context = this.contextExtractor.extract(this.activeElement, currentTextInfo);
+        
+        const blockingRule = this.siteRules.findBlockingRule(context);
+        if (blockingRule) {
+          this.debugOverlay.log(`Suggestion blocked by ${this.siteRules.describe(blockingRule)}`);
+          return;
+        }
+        
+        const suffix = this.fillInMiddle ? this.getSuffix(currentTextInfo) : '';
+        console.log('🤖 Requesting real-time suggestion for:', text.slice(-30), suffix ? '(insertion)' : '');
+        this.debugOverlay.log(suffix ? 'Requesting insertion' : 'Requesting suggestion');
+        
+        const result = await this.suggestionEngine.getSuggestion(text, context, {
+          suffix,
+          tone: this.toneSelector.getTone(this.activeElement),
+          trigger,
+          onUpdate: (partial) => this.renderSuggestion(text, partial, Boolean(suffix))
+        });
+        
+        if (result.success && result.suggestion) {
+          this.renderSuggestion(text, result.suggestion, Boolean(suffix), result.suggestions);
+          if (result.cached) {
+            this.debugOverlay.log('Suggestion served from cache');
+          } else if (result.reused) {
+            this.debugOverlay.log('Suggestion reused from an earlier request');
+          } else if (result.fallback) {
+            this.debugOverlay.log(`Suggestion from fallback provider ${result.providerLabel}`);
+          }
+        } else if (result.budgetExceeded) {
+          this.pauseAutoTrigger(result.error, result.resetsAt);
+        } else if (!result.success) {
+          this.debugOverlay.log(`No suggestion: ${result.error || 'request failed'}`);
+        }
+        
+        if (this.ghostRenderer.hasActiveSuggestion()) {
+          this.trackUsage('suggestion_shown');
+        }
+        
+      } catch (error) {
+        console.error('🤖 Real-time suggestion failed:', error);
+      } finally {
+        this.isProcessing = false;
+      }
+      
+      this.requestForTypedText(text);
+    }
+
+    /**
+     * Stop suggesting while typing until the daily totals reset, and say so
+     */
+    pauseAutoTrigger(reason, resetsAt) {
+      // Smart replies report the same cap; one notice is enough
+      if (Date.now() < this.autoTriggerPausedUntil) return;
+      
+      this.autoTriggerPausedUntil = resetsAt || Date.now() + 60 * 60 * 1000;
+      this.debugOverlay.log(`Auto-trigger paused: ${reason}`);
+      this.showStatusMessage(`⏸️ ${reason}. Suggestions are paused for today; Ctrl+Space still works.`, 6000);
+    }
+
+    /**
+     * The user typed on while a request ran and its suggestion didn't fit
+     * what they typed; ask again for the text that's there now
+     */
+    requestForTypedText(text) {
+      if (this.ghostRenderer.hasActiveSuggestion() || 
+          !this.activeElement || 
+          this.activeElement !== document.activeElement ||
+          hasTextSelection(this.activeElement)) {
+        return;
+      }
+      
+      const textInfo = getTextAndCursor(this.activeElement);
+      if (textInfo && 
+          textInfo.textBeforeCursor !== text && 
+          this.shouldTriggerSuggestion(textInfo.textBeforeCursor, textInfo)) {
+        this.debouncedApiCall(textInfo.textBeforeCursor, textInfo);
+      }
+    }
+
+    /**
+     * Show or grow the ghost, but only on the same element and if the user has
+     * typed nothing since the request, or only the start of the suggestion
+     * @param {string[]} [candidates] - Alternatives, once the request is done
+     */
+    renderSuggestion(text, suggestion, insertion = false, candidates = null) {
+      let currentText;
+      let currentTextInfo = null;
+      
+      if (this.ghostRenderer.hasActiveSuggestion()) {
+        // A ghost from a snippet or another request stays as it is
+        if (this.ghostRenderer.requestText !== text) return;
+        currentText = this.ghostRenderer.baseText;
+      } else {
+        currentTextInfo = getTextAndCursor(this.activeElement);
+        if (!currentTextInfo || this.activeElement !== document.activeElement) return;
+        currentText = currentTextInfo.textBeforeCursor;
+      }
+      
+      const remaining = [...new Set([suggestion, ...(candidates || [])]
+        .map(candidate => remainingSuggestion(text, currentText, candidate))
+        .filter(Boolean))];
+      if (!remaining.length) return;
+      
+      if (currentTextInfo) {
+        this.ghostRenderer.showSuggestion(this.activeElement, remaining[0], currentTextInfo, {
+          insertion,
+          requestText: text
+        });
+      } else {
+        this.ghostRenderer.updateSuggestion(remaining[0]);
+      }
+      
+      if (candidates) {
+        this.ghostRenderer.setCandidates(remaining);
+      }
+    }
+
+    async triggerManualSuggestion() {
+      if (!this.activeElement) return;
+      
+      const textInfo = getTextAndCursor(this.activeElement);
+      if (!textInfo) return;
+      
+      const text = textInfo.textBeforeCursor;
+      if (text.length < 3) {
+        this.showStatusMessage('Type more text for suggestions');
+        return;
+      }
+      
+      // Force suggestion regardless of normal conditions
+      this.lastProcessedText = ''; // Reset to force processing
+      await this.makeApiCall(text, textInfo, 'manual');
+    }
+
+    async generateDraft(element) {
+      if (this.draftComposer.isDrafting) return;
+      
+      this.activeElement = element;
+      this.ghostRenderer.hideSuggestion();
+      this.suggestionEngine.cancelAllRequests();
+      this.showStatusMessage('✍️ Drafting your email...');
+      
+      const result = await this.draftComposer.compose(element);
+      if (result.success) {
+        this.trackUsage('draft_generated');
+      } else {
+        this.showStatusMessage(result.error);
+      }
+    }
+
+    showStatusMessage(message, duration = 2000) {
+      // Show temporary status message
+      const statusEl = document.createElement('div');
+      statusEl.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #1f2937;
+        color: white;
+        padding: 8px 12px;
+        border-radius: 6px;
+        font-size: 13px;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      `;
+      statusEl.textContent = message;
+      document.body.appendChild(statusEl);
+      
+      setTimeout(() => statusEl.remove(), duration);
+    }
+
+    trackUsage(action, details = {}) {
+      try {
+        chrome.runtime.sendMessage({
+          type: 'track_usage',
+          action: action,
+          timestamp: Date.now(),
+          ...details
+        });
+      } catch (error) {
+        // Ignore tracking errors
+      }
+    }
+  }
+
+  // =============================================================================
+  // TONE SELECTOR
+  // =============================================================================
+
+  /**
+   * Shows a small tone chip on each compose window. The chosen tone applies
+   * only to that window; new windows start with the default tone from the popup.
+   */
+  class ToneSelector {
+    constructor() {
+      this.tones = [];
+      this.defaultTone = 'professional';
+      this.elementTones = new WeakMap();
+      this.chips = new Map();
+      this.openMenu = null;
+
+      this.handleDocumentMouseDown = this.handleDocumentMouseDown.bind(this);
+    }
+
+    async loadTones() {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'get_tones' });
+        if (response?.success) {
+          this.tones = response.tones;
+          this.defaultTone = response.defaultTone;
+        }
+      } catch (error) {
+        console.error('Failed to load tones:', error);
+      }
+      this.refreshChips();
+    }
+
+    attach(element) {
+      const container = element.parentElement;
+      if (!container || this.chips.has(element)) return;
+
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'copilot-tone-chip';
+      chip.title = 'Suggestion tone for this email';
+
+      // Keep focus (and the caret) in the compose body
+      chip.addEventListener('mousedown', (event) => event.preventDefault());
+      chip.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.toggleMenu(element, chip);
+      });
+
+      container.style.position = 'relative';
+      container.appendChild(chip);
+      this.chips.set(element, chip);
+      this.updateChip(element);
+    }
+
+    getTone(element) {
+      const toneId = this.elementTones.get(element);
+      return this.tones.some(tone => tone.id === toneId) ? toneId : this.defaultTone;
+    }
+
+    getToneName(toneId) {
+      return this.tones.find(tone => tone.id === toneId)?.name || toneId;
+    }
+
+    setTone(element, toneId) {
+      this.elementTones.set(element, toneId);
+      this.updateChip(element);
+    }
+
+    updateChip(element) {
+      const chip = this.chips.get(element);
+      if (chip) {
+        chip.textContent = `Tone: ${this.getToneName(this.getTone(element))}`;
+      }
+    }
+
+    refreshChips() {
+      this.chips.forEach((chip, element) => {
+        if (!element.isConnected) {
+          this.chips.delete(element);
+          return;
+        }
+        this.updateChip(element);
+      });
+    }
+
+    toggleMenu(element, chip) {
+      const wasOpenForChip = this.openMenu?.chip === chip;
+      this.closeMenu();
+      if (wasOpenForChip) return;
+
+      const menu = document.createElement('div');
+      menu.className = 'copilot-tone-menu';
+      const currentTone = this.getTone(element);
+
+      this.tones.forEach(tone => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'copilot-tone-option';
+        option.textContent = tone.name;
+        option.title = tone.instruction;
+        if (tone.id === currentTone) {
+          option.classList.add('copilot-tone-option-active');
+        }
+
+        option.addEventListener('mousedown', (event) => event.preventDefault());
+        option.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          this.setTone(element, tone.id);
+          this.closeMenu();
+          element.focus();
+        });
+        menu.appendChild(option);
+      });
+
+      chip.parentElement.appendChild(menu);
+      this.openMenu = { menu, chip };
+      document.addEventListener('mousedown', this.handleDocumentMouseDown, true);
+    }
+
+    handleDocumentMouseDown(event) {
+      if (this.openMenu && !this.openMenu.menu.contains(event.target) && event.target !== this.openMenu.chip) {
+        this.closeMenu();
+      }
+    }
+
+    closeMenu() {
+      if (!this.openMenu) return;
+      this.openMenu.menu.remove();
+      this.openMenu = null;
+      document.removeEventListener('mousedown', this.handleDocumentMouseDown, true);
+    }
+
+    cleanup() {
+      this.closeMenu();
+      this.chips.forEach(chip => chip.remove());
+      this.chips.clear();
+    }
+  }
+
+  // =============================================================================
+  // SMART REPLIES
+  // =============================================================================
+
+  /**
+   * Offers short reply options under the latest message of an open
+   * conversation. Clicking one opens the client's reply and fills it in.
+   */
+  class SmartReplies {
+    /**
+     * @param {Function} onBudgetExceeded - Called with the reason and reset time
+     *   once a daily cap stops replies
+     */
+    constructor(contextExtractor, toneSelector, siteRules, onBudgetExceeded) {
+      this.contextExtractor = contextExtractor;
+      this.toneSelector = toneSelector;
+      this.siteRules = siteRules;
+      this.onBudgetExceeded = onBudgetExceeded;
+      this.enabled = true;
+      this.pausedUntil = 0;
+      this.cache = new Map();
+      this.cacheSize = 20;
+      this.pendingReply = null;
+      this.pendingReplyTimeout = 10000;
+      this.threadBudget = 4000;
+
+      this.scheduleCheck = debounce(this.checkConversation.bind(this), 500);
+    }
+
+    /**
+     * Add reply chips to the latest message if it doesn't have them yet
+     */
+    async checkConversation() {
+      if (!this.enabled || Date.now() < this.pausedUntil) return;
+
+      const messages = this.contextExtractor.getConversationMessages();
+      const latest = messages[messages.length - 1];
+      if (!latest || latest.element.querySelector('.copilot-smart-replies')) return;
+
+      // No replies to the user's own message
+      const account = siteAdapter.getAccountEmail().toLowerCase();
+      if (account && latest.senderEmail.toLowerCase() === account) return;
+
+      const container = document.createElement('div');
+      container.className = 'copilot-smart-replies';
+      latest.element.appendChild(container);
+
+      const replies = await this.getReplies(latest, messages.slice(0, -1));
+      if (!replies.length || !container.isConnected) {
+        container.remove();
+        return;
+      }
+      this.renderChips(container, latest, replies);
+    }
+
+    async getReplies(latest, earlierMessages) {
+      if (this.cache.has(latest.id)) {
+        return this.cache.get(latest.id);
+      }
+
+      if (this.siteRules.findBlockingRuleForConversation([...earlierMessages, latest])) {
+        return [];
+      }
+
+      const thread = earlierMessages
+        .map(({ sender, text }) => `${sender}:\n${text}`)
+        .join('\n\n')
+        .slice(-this.threadBudget);
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'get_smart_replies',
+          subject: document.querySelector(siteAdapter.threadSubjectSelector)?.textContent.trim() || '',
+          sender: latest.sender,
+          message: latest.text.slice(0, this.threadBudget),
+          thread,
+          tone: this.toneSelector.defaultTone
+        });
+        if (response?.budgetExceeded) {
+          this.pausedUntil = response.resetsAt || Date.now() + 60 * 60 * 1000;
+          this.onBudgetExceeded(response.error, response.resetsAt);
+          return [];
+        }
+        // Failures are cached too, so the page's mutations don't retry them
+        return this.remember(latest.id, response?.success ? response.replies : []);
+      } catch (error) {
+        console.error('Smart replies failed:', error);
+        return this.remember(latest.id, []);
+      }
+    }
+
+    remember(messageId, replies) {
+      if (this.cache.size >= this.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(messageId, replies);
+      return replies;
+    }
+
+    renderChips(container, latest, replies) {
+      container.replaceChildren(...replies.map(reply => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'copilot-smart-reply';
+        chip.textContent = reply;
+        chip.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          this.useReply(latest, reply);
+        });
+        return chip;
+      }));
+    }
+
+    /**
+     * Open the reply compose; the observer fills it in once it attaches
+     */
+    useReply(latest, reply) {
+      const replyButton = latest.element.querySelector(siteAdapter.replyButtonSelector) ||
+        document.querySelector(siteAdapter.replyButtonSelector);
+      if (!replyButton) {
+        console.warn('Smart replies: reply button not found');
+        return;
+      }
+
+      this.pendingReply = { text: reply, expires: Date.now() + this.pendingReplyTimeout };
+      replyButton.click();
+      chrome.runtime.sendMessage({ type: 'track_usage', action: 'smart_reply_used', timestamp: Date.now() })
+        .catch(() => {
+          // Ignore tracking errors
+        });
+
+      // A reply compose that was already open doesn't attach again
+      setTimeout(() => {
+        const active = document.activeElement;
+        if (this.pendingReply && active?.hasAttribute('data-copilot-attached')) {
+          this.fillPendingReply(active);
+        }
+      }, 1000);
+    }
+
+    /**
+     * Insert the chosen reply into a newly opened compose element
+     */
+    fillPendingReply(element) {
+      const pending = this.pendingReply;
+      if (!pending) return;
+      this.pendingReply = null;
+      if (Date.now() > pending.expires) return;
+
+      element.focus();
+      const selection = window.getSelection();
+      let range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+      if (!range || !element.contains(range.startContainer)) {
+        range = document.createRange();
+        range.setStart(element, 0);
+        range.collapse(true);
+      }
+
+      const lastLine = insertTextBlocks(element, range, pending.text);
+      const caret = document.createRange();
+      caret.selectNodeContents(lastLine);
+      caret.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(caret);
+
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      console.log('💬 Smart reply inserted:', pending.text);
+    }
+  }
+
+  // =============================================================================
+  // THREAD SUMMARY
+  // =============================================================================
+
+  /**
+   * "Summarize" button in the conversation toolbar; shows a collapsible panel
+   * above the thread with a summary, decisions made and open action items
+   */
+  class ThreadSummarizer {
+    constructor(contextExtractor, siteRules) {
+      this.contextExtractor = contextExtractor;
+      this.siteRules = siteRules;
+      this.button = null;
+      this.panel = null;
+      this.cache = new Map();
+      this.cacheSize = 10;
+      this.isSummarizing = false;
+
+      this.scheduleCheck = debounce(this.checkConversation.bind(this), 500);
+    }
+
+    /**
+     * Keep the toolbar button in sync with whether a conversation is open
+     */
+    checkConversation() {
+      // Other sites have no thread to summarize
+      const heading = siteAdapter.messageSelector && document.querySelector(siteAdapter.threadSubjectSelector);
+      // Without a toolbar to extend, the button sits beside the subject
+      const toolbar = siteAdapter.toolbarSelector
+        ? [...document.querySelectorAll(siteAdapter.toolbarSelector)].find(bar => bar.offsetParent !== null)
+        : heading?.parentElement;
+
+      if (!heading || !toolbar) {
+        this.removeButton();
+        this.removePanel();
         return;
       }
-      
-      // Hide suggestion on navigation keys
-      if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(key)) {
-        this.ghostRenderer.hideSuggestion();
-        return;
+
+      // The panel belongs to the conversation it summarized
+      if (this.panel && !this.panel.isConnected) {
+        this.panel = null;
       }
-      
-      // Hide suggestion on backspace/delete
-      if (['Backspace', 'Delete'].includes(key)) {
-        this.ghostRenderer.hideSuggestion();
-        return;
+
+      if (!this.button || !toolbar.contains(this.button)) {
+        this.removeButton();
+        this.button = document.createElement('div');
+        this.button.setAttribute('role', 'button');
+        this.button.className = 'copilot-summarize-button';
+        this.button.textContent = '⚡ Summarize';
+        this.button.title = 'Summarize this thread';
+        this.button.addEventListener('click', () => this.summarize());
+        toolbar.appendChild(this.button);
       }
     }
 
-    handleCompositionStart() {
-      // Hide suggestions during IME composition
-      this.ghostRenderer.hideSuggestion();
+    removeButton() {
+      if (this.button) {
+        this.button.remove();
+        this.button = null;
+      }
     }
 
-    handleCompositionEnd() {
-      // Trigger suggestion after composition ends
-      setTimeout(() => {
-        if (this.activeElement) {
-          const textInfo = getTextAndCursor(this.activeElement);
-          if (textInfo) {
-            this.handleInput({ target: this.activeElement });
-          }
-        }
-      }, 50);
+    removePanel() {
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
     }
 
-    shouldTriggerSuggestion(text, textInfo) {
-      // Don't trigger if text is too short
-      if (text.length < 8) return false;
-      
-      // Don't trigger if we just processed this text
-      if (text === this.lastProcessedText) return false;
-      
-      // Don't trigger if cursor is not at end
-      if (textInfo.textAfterCursor.trim().length > 0) return false;
-      
-      // Don't trigger if text ends with punctuation
-      if (/[.!?]\s*$/.test(text)) return false;
-      
-      // Don't trigger if currently processing
-      if (this.isProcessing) return false;
-      
-      // Must have at least 2 words
-      const words = text.trim().split(/\s+/);
-      if (words.length < 2) return false;
-      
-      return true;
+    /**
+     * Messages with their dates, without quoted history
+     */
+    getMessages() {
+      return this.contextExtractor.getConversationMessages().map(message => {
+        const date = message.element.querySelector(siteAdapter.messageDateSelector);
+        return {
+          id: message.id,
+          sender: message.sender,
+          senderEmail: message.senderEmail,
+          date: date?.getAttribute('title') || date?.textContent.trim() || '',
+          text: message.text
+        };
+      });
     }
 
-    async makeApiCall(text, textInfo) {
-      if (this.isProcessing) return;
-      
-      this.isProcessing = true;
-      this.lastProcessedText = text;
-      
+    async summarize() {
+      if (this.isSummarizing) return;
+
+      const heading = document.querySelector(siteAdapter.threadSubjectSelector);
+      const messages = this.getMessages();
+      if (!heading || !messages.length) return;
+
+      const subject = heading.textContent.trim();
+      const threadKey = `${subject}|${messages.map(message => message.id).join('|')}`;
+
+      this.showPanel(heading);
+
+      const blockingRule = this.siteRules.findBlockingRuleForConversation(messages);
+      if (blockingRule) {
+        this.renderStatus(`Summaries are turned off by ${this.siteRules.describe(blockingRule)}`);
+        return;
+      }
+
+      this.renderStatus('Summarizing the thread…');
+
+      if (this.cache.has(threadKey)) {
+        this.renderSummary(this.cache.get(threadKey));
+        return;
+      }
+
+      this.isSummarizing = true;
       try {
-        const context = this.getEmailContext();
-        console.log('🤖 Requesting real-time suggestion for:', text.slice(-30));
-        
-        const result = await this.suggestionEngine.getSuggestion(text, context);
-        
-        // Only show if we're still on the same text and element
-        const currentTextInfo = getTextAndCursor(this.activeElement);
-        if (currentTextInfo && 
-            currentTextInfo.textBeforeCursor === text && 
-            this.activeElement === document.activeElement) {
-          
-          if (result.success && result.suggestion) {
-            this.ghostRenderer.showSuggestion(
-              this.activeElement, 
-              result.suggestion, 
-              currentTextInfo
-            );
-            this.trackUsage('suggestion_shown');
-          }
+        const response = await chrome.runtime.sendMessage({
+          type: 'summarize_thread',
+          subject,
+          messages: messages.map(({ sender, date, text }) => ({ sender, date, text }))
+        });
+
+        if (!response?.success) {
+          this.renderStatus(response?.error || 'Summarization failed');
+          return;
         }
-        
+
+        if (this.cache.size >= this.cacheSize) {
+          this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(threadKey, response.summary);
+        this.renderSummary(response.summary);
       } catch (error) {
-        console.error('🤖 Real-time suggestion failed:', error);
+        this.renderStatus(error.message);
       } finally {
-        this.isProcessing = false;
+        this.isSummarizing = false;
       }
     }
 
-    async triggerManualSuggestion() {
-      if (!this.activeElement) return;
-      
-      const textInfo = getTextAndCursor(this.activeElement);
-      if (!textInfo) return;
-      
-      const text = textInfo.textBeforeCursor;
-      if (text.length < 3) {
-        this.showStatusMessage('Type more text for suggestions');
+    showPanel(heading) {
+      if (this.panel?.isConnected) {
+        this.panel.classList.remove('copilot-thread-summary-collapsed');
         return;
       }
-      
-      // Force suggestion regardless of normal conditions
-      this.lastProcessedText = ''; // Reset to force processing
-      await this.makeApiCall(text, textInfo);
-    }
 
-    getEmailContext() {
-      let context = '';
-      
-      try {
-        // Get subject
-        const subjectElement = document.querySelector('input[name="subjectbox"], input[aria-label*="subject" i]');
-        if (subjectElement?.value) {
-          context += `Subject: ${subjectElement.value}\n`;
-        }
-        
-        return context.trim();
-      } catch (error) {
-        return '';
-      }
+      this.panel = document.createElement('div');
+      this.panel.className = 'copilot-thread-summary';
+
+      const header = document.createElement('div');
+      header.className = 'copilot-thread-summary-header';
+
+      const title = document.createElement('span');
+      title.textContent = '⚡ Thread summary';
+      title.addEventListener('click', () => this.panel.classList.toggle('copilot-thread-summary-collapsed'));
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'copilot-thread-summary-close';
+      close.textContent = '×';
+      close.title = 'Close';
+      close.addEventListener('click', () => this.removePanel());
+
+      const body = document.createElement('div');
+      body.className = 'copilot-thread-summary-body';
+
+      header.append(title, close);
+      this.panel.append(header, body);
+
+      const anchor = (siteAdapter.threadHeaderSelector && heading.closest(siteAdapter.threadHeaderSelector)) || heading;
+      anchor.after(this.panel);
     }
 
-    showStatusMessage(message) {
-      // Show temporary status message
-      const statusEl = document.createElement('div');
-      statusEl.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #1f2937;
-        color: white;
-        padding: 8px 12px;
-        border-radius: 6px;
-        font-size: 13px;
-        z-index: 10000;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-      `;
-      statusEl.textContent = message;
-      document.body.appendChild(statusEl);
-      
-      setTimeout(() => statusEl.remove(), 2000);
+    renderStatus(message) {
+      this.panel?.querySelector('.copilot-thread-summary-body').replaceChildren(message);
     }
 
-    trackUsage(action) {
-      try {
-        chrome.runtime.sendMessage({
-          type: 'track_usage',
-          action: action,
-          timestamp: Date.now()
+    renderSummary({ summary, decisions, actionItems }) {
+      if (!this.panel) return;
+
+      const section = (title, content) => {
+        const wrapper = document.createElement('div');
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        wrapper.append(heading, content);
+        return wrapper;
+      };
+
+      const list = (items, emptyText) => {
+        if (!items.length) {
+          const empty = document.createElement('p');
+          empty.textContent = emptyText;
+          return empty;
+        }
+        const ul = document.createElement('ul');
+        items.forEach(item => {
+          const li = document.createElement('li');
+          li.textContent = item;
+          ul.appendChild(li);
         });
-      } catch (error) {
-        // Ignore tracking errors
-      }
+        return ul;
+      };
+
+      const summaryText = document.createElement('p');
+      summaryText.textContent = summary;
+
+      this.panel.querySelector('.copilot-thread-summary-body').replaceChildren(
+        section('Summary', summaryText),
+        section('Decisions', list(decisions, 'No decisions yet.')),
+        section('Action items', list(actionItems, 'No open action items.'))
+      );
+    }
+
+    cleanup() {
+      this.removeButton();
+      this.removePanel();
     }
   }
 
@@ -596,11 +3004,18 @@ if (window.emailCopilotInjected) {
   // GMAIL OBSERVER
   // =============================================================================
 
-  class GmailComposeObserver {
-    constructor(inputProcessor) {
+  class ComposeObserver {
+    constructor(inputProcessor, toneSelector, smartReplies, threadSummarizer) {
       this.inputProcessor = inputProcessor;
+      this.toneSelector = toneSelector;
+      this.smartReplies = smartReplies;
+      this.threadSummarizer = threadSummarizer;
       this.observer = null;
       this.attachedElements = new Set();
+      this.captureSentMail = false;
+      
+      this.handleSendClick = this.handleSendClick.bind(this);
+      this.handleSendShortcut = this.handleSendShortcut.bind(this);
     }
 
     start() {
@@ -612,17 +3027,83 @@ if (window.emailCopilotInjected) {
         attributeFilter: ['contenteditable', 'role', 'aria-label']
       });
 
-      // Check for existing compose areas
+      // Check for existing compose areas and an open conversation
       this.scanForComposeAreas();
-      console.log('📧 Gmail observer started');
+      this.smartReplies.scheduleCheck();
+      this.threadSummarizer.scheduleCheck();
+      
+      // Sent emails can feed the writing-style profile
+      if (siteAdapter.sendButtonSelector) {
+        document.addEventListener('click', this.handleSendClick, true);
+        document.addEventListener('keydown', this.handleSendShortcut, true);
+      }
+      console.log(`📧 ${siteAdapter.name} observer started`);
+    }
+
+    handleSendClick(event) {
+      const sendButton = event.target.closest?.(siteAdapter.sendButtonSelector);
+      if (sendButton) {
+        this.captureSentMessage(this.findComposeElement(sendButton));
+      }
+    }
+
+    handleSendShortcut(event) {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        this.captureSentMessage(this.findComposeElement(event.target));
+      }
+    }
+
+    /**
+     * The attached compose body in the same compose window as a node
+     */
+    findComposeElement(node) {
+      let container = node;
+      while (container && container !== document.body) {
+        const element = [...this.attachedElements].find(candidate => container.contains(candidate));
+        if (element) return element;
+        container = container.parentElement;
+      }
+      return null;
+    }
+
+    captureSentMessage(element) {
+      if (!this.captureSentMail || !element) return;
+      
+      const text = this.inputProcessor.contextExtractor.getComposedText(element);
+      if (!text) return;
+      
+      chrome.runtime.sendMessage({
+        type: 'add_style_samples',
+        source: 'sent',
+        samples: [text]
+      }).catch(() => {
+        // Ignore capture errors
+      });
     }
 
     handleMutations(mutations) {
+      const conversationSelector = [siteAdapter.threadSubjectSelector, siteAdapter.toolbarSelector]
+        .filter(Boolean)
+        .join(', ');
+      
       for (const mutation of mutations) {
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach(node => {
             if (node.nodeType === Node.ELEMENT_NODE) {
               this.scanForComposeAreas(node);
+              
+              // Other sites have no conversations
+              if (!siteAdapter.messageSelector) return;
+              
+              // An opened conversation or newly expanded message
+              if (node.matches(siteAdapter.messageSelector) || node.querySelector(siteAdapter.messageSelector)) {
+                this.smartReplies.scheduleCheck();
+              }
+              
+              // Toolbars are swapped when moving between the inbox and a conversation
+              if (node.matches(conversationSelector) || node.querySelector(conversationSelector)) {
+                this.threadSummarizer.scheduleCheck();
+              }
             }
           });
         } else if (mutation.type === 'attributes') {
@@ -632,15 +3113,7 @@ if (window.emailCopilotInjected) {
     }
 
     scanForComposeAreas(root = document.body) {
-      const selectors = [
-        'div[role="textbox"][aria-label*="message body" i]',
-        'div[role="textbox"][aria-label*="Message Body" i]',
-        'div[contenteditable="true"][aria-label*="message" i]',
-        'div[contenteditable="true"][role="textbox"]',
-        'div[contenteditable="true"][g_editable="true"]',
-        '.Am.Al.editable',
-        '.editable[contenteditable="true"]'
-      ];
+      const selectors = siteAdapter.composeSelectors;
 
       selectors.forEach(selector => {
         try {
@@ -659,26 +3132,26 @@ if (window.emailCopilotInjected) {
       if (this.isValidComposeElement(element) && !this.attachedElements.has(element)) {
         this.attachedElements.add(element);
         this.inputProcessor.attachToElement(element);
+        this.toneSelector.attach(element);
+        this.smartReplies.fillPendingReply(element);
         this.showAttachmentIndicator(element);
         console.log('📧 Attached to compose element:', element);
       }
     }
 
     isValidComposeElement(element) {
-      if (!element || !element.isContentEditable) return false;
+      if (!element || !(element.isContentEditable || isTextField(element))) return false;
       if (element.hasAttribute('data-copilot-attached')) return false;
 
-      // Must be in Gmail compose container
-      const composeContainer = element.closest('.nH, .M9, .aDM, .n1tfz, .aO7');
+      // Attach to the editing host, not to editable content inside it
+      if (element.parentElement?.isContentEditable) return false;
+
+      // Must be in a compose container
+      const composeContainer = element.closest(siteAdapter.composeContainerSelector);
       if (!composeContainer) return false;
 
       // Exclude signatures, quotes, etc.
-      const exclusions = [
-        '.gmail_signature', '.gmail_quote', '.ii', '.adP', '.adO',
-        '[aria-label*="subject" i]', '[aria-label*="to" i]', '[aria-label*="cc" i]'
-      ];
-      
-      for (const exc of exclusions) {
+      for (const exc of siteAdapter.excludedSelectors) {
         if (element.matches(exc) || element.closest(exc)) {
           return false;
         }
@@ -720,6 +3193,8 @@ if (window.emailCopilotInjected) {
       if (this.observer) {
         this.observer.disconnect();
       }
+      document.removeEventListener('click', this.handleSendClick, true);
+      document.removeEventListener('keydown', this.handleSendShortcut, true);
       this.attachedElements.clear();
     }
   }
@@ -732,8 +3207,37 @@ if (window.emailCopilotInjected) {
     constructor() {
       this.suggestionEngine = new RealTimeSuggestionEngine();
       this.ghostRenderer = new RealTimeGhostRenderer();
-      this.inputProcessor = new RealTimeInputProcessor(this.suggestionEngine, this.ghostRenderer);
-      this.gmailObserver = new GmailComposeObserver(this.inputProcessor);
+      this.contextExtractor = new ComposeContextExtractor();
+      this.toneSelector = new ToneSelector();
+      this.snippetExpander = new SnippetExpander();
+      this.siteRules = new SiteRules();
+      this.draftComposer = new DraftComposer(this.contextExtractor, this.toneSelector, this.siteRules);
+      this.selectionRewriter = new SelectionRewriter(this.contextExtractor, this.toneSelector, this.siteRules);
+      this.debugOverlay = new DebugOverlay();
+      this.inputProcessor = new RealTimeInputProcessor(
+        this.suggestionEngine,
+        this.ghostRenderer,
+        this.contextExtractor,
+        this.toneSelector,
+        this.snippetExpander,
+        this.draftComposer,
+        this.selectionRewriter,
+        this.siteRules,
+        this.debugOverlay
+      );
+      this.smartReplies = new SmartReplies(
+        this.contextExtractor,
+        this.toneSelector,
+        this.siteRules,
+        (reason, resetsAt) => this.inputProcessor.pauseAutoTrigger(reason, resetsAt)
+      );
+      this.threadSummarizer = new ThreadSummarizer(this.contextExtractor, this.siteRules);
+      this.composeObserver = new ComposeObserver(
+        this.inputProcessor,
+        this.toneSelector,
+        this.smartReplies,
+        this.threadSummarizer
+      );
       
       this.init();
     }
@@ -749,11 +3253,30 @@ if (window.emailCopilotInjected) {
           return;
         }
         
+        this.applySettings(settings);
+        this.snippetExpander.loadSnippets();
+        chrome.runtime.onMessage.addListener((message) => {
+          if (message.type === 'settings_updated') {
+            this.applySettings(message.settings);
+          } else if (message.type === 'snippets_updated') {
+            this.snippetExpander.setSnippets(message.snippets);
+          } else if (message.type === 'rules_updated') {
+            this.siteRules.setRules(message.rules);
+          }
+        });
+        
+        // Rules are synced, so they can also change on another device
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+          if (namespace === 'sync' && changes.rules) {
+            this.siteRules.setRules(changes.rules.newValue);
+          }
+        });
+        
         // Inject styles
         this.injectStyles();
         
-        // Start observing Gmail
-        this.gmailObserver.start();
+        // Start observing compose areas
+        this.composeObserver.start();
         
         // Show activation notification
         this.showActivationNotification();
@@ -774,6 +3297,24 @@ if (window.emailCopilotInjected) {
       }
     }
 
+    applySettings(settings) {
+      this.inputProcessor.fillInMiddle = settings.fillInMiddle !== false;
+      this.composeObserver.captureSentMail = settings.captureSentMail === true;
+      this.smartReplies.enabled = settings.smartReplies !== false;
+      this.suggestionEngine.setLongSuggestions(settings.longSuggestions === true);
+      this.toneSelector.loadTones();
+      this.debugOverlay.setEnabled(settings.debugOverlay === true);
+      
+      // Caps may have been raised
+      this.inputProcessor.autoTriggerPausedUntil = 0;
+      this.smartReplies.pausedUntil = 0;
+      
+      // Rules are saved on their own, so settings from the popup may not include them
+      if (settings.rules) {
+        this.siteRules.setRules(settings.rules);
+      }
+    }
+
     showActivationNotification() {
       const notification = document.createElement('div');
       notification.style.cssText = `
@@ -828,18 +3369,270 @@ if (window.emailCopilotInjected) {
           transition: opacity 0.1s ease !important;
         }
         
+        .copilot-ghost-insertion {
+          background-color: rgba(110, 118, 129, 0.08) !important;
+          border-radius: 2px !important;
+        }
+        
+        .copilot-candidate-indicator {
+          position: fixed !important;
+          z-index: 10000 !important;
+          padding: 0 4px !important;
+          border-radius: 3px !important;
+          background: #1f2937 !important;
+          color: white !important;
+          font-size: 10px !important;
+          line-height: 16px !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+          pointer-events: none !important;
+          opacity: 0.8 !important;
+        }
+        
         .copilot-ghost-suggestion:hover {
           opacity: 0.8 !important;
         }
+        
+        .copilot-text-field-overlay {
+          position: absolute !important;
+          z-index: 10000 !important;
+          box-sizing: border-box !important;
+          margin: 0 !important;
+          border-color: transparent !important;
+          background: transparent !important;
+          overflow: hidden !important;
+          white-space: pre-wrap !important;
+          overflow-wrap: break-word !important;
+          pointer-events: none !important;
+        }
+        
+        .copilot-text-field-mirror {
+          color: transparent !important;
+        }
+        
+        .copilot-debug-overlay {
+          position: fixed !important;
+          left: 12px !important;
+          bottom: 12px !important;
+          z-index: 10001 !important;
+          max-width: 360px !important;
+          padding: 6px 8px !important;
+          border-radius: 6px !important;
+          background: rgba(17, 24, 39, 0.9) !important;
+          color: #e5e7eb !important;
+          font-family: ui-monospace, SFMono-Regular, Menlo, monospace !important;
+          font-size: 11px !important;
+          line-height: 16px !important;
+          white-space: pre-wrap !important;
+          pointer-events: none !important;
+        }
+        
+        .copilot-debug-title {
+          color: #a5b4fc !important;
+          font-weight: 600 !important;
+        }
+        
+        .copilot-rewrite-menu {
+          position: fixed !important;
+          z-index: 10000 !important;
+          display: flex !important;
+          flex-wrap: wrap !important;
+          gap: 2px !important;
+          max-width: 360px !important;
+          padding: 4px !important;
+          border-radius: 6px !important;
+          background: #1f2937 !important;
+          box-shadow: 0 4px 20px rgba(0,0,0,0.15) !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+        }
+        
+        .copilot-rewrite-action {
+          padding: 4px 8px !important;
+          border: none !important;
+          border-radius: 4px !important;
+          background: none !important;
+          color: white !important;
+          font-size: 12px !important;
+          cursor: pointer !important;
+        }
+        
+        .copilot-rewrite-action:hover {
+          background: rgba(255, 255, 255, 0.15) !important;
+        }
+        
+        .copilot-rewrite-status {
+          padding: 4px 8px !important;
+          color: white !important;
+          font-size: 12px !important;
+        }
+        
+        .copilot-smart-replies {
+          display: flex !important;
+          flex-wrap: wrap !important;
+          gap: 8px !important;
+          margin: 12px 0 4px 0 !important;
+        }
+        
+        .copilot-smart-replies:empty::before {
+          content: '⚡ Suggesting replies…';
+          color: #6e7681;
+          font-size: 12px;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        }
+        
+        .copilot-smart-reply {
+          max-width: 100% !important;
+          padding: 6px 14px !important;
+          border: 1px solid #c7d2fe !important;
+          border-radius: 16px !important;
+          background: white !important;
+          color: #4338ca !important;
+          font-size: 13px !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+          text-align: left !important;
+          cursor: pointer !important;
+        }
+        
+        .copilot-smart-reply:hover {
+          background: #eef2ff !important;
+        }
+        
+        .copilot-summarize-button {
+          display: inline-flex !important;
+          align-items: center !important;
+          height: 28px !important;
+          margin-left: 12px !important;
+          padding: 0 12px !important;
+          border-radius: 14px !important;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%) !important;
+          color: white !important;
+          font-size: 12px !important;
+          font-weight: 500 !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+          cursor: pointer !important;
+          vertical-align: middle !important;
+        }
+        
+        .copilot-thread-summary {
+          margin: 8px 0 16px 0 !important;
+          border: 1px solid #c7d2fe !important;
+          border-radius: 8px !important;
+          background: #f8f9ff !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+          font-size: 13px !important;
+          color: #1f2937 !important;
+        }
+        
+        .copilot-thread-summary-header {
+          display: flex !important;
+          justify-content: space-between !important;
+          align-items: center !important;
+          padding: 8px 12px !important;
+          font-weight: 600 !important;
+          cursor: pointer !important;
+        }
+        
+        .copilot-thread-summary-close {
+          border: none !important;
+          background: none !important;
+          font-size: 18px !important;
+          line-height: 1 !important;
+          color: #6b7280 !important;
+          cursor: pointer !important;
+        }
+        
+        .copilot-thread-summary-body {
+          padding: 0 12px 12px 12px !important;
+        }
+        
+        .copilot-thread-summary-body h4 {
+          margin: 8px 0 4px 0 !important;
+          font-size: 12px !important;
+          text-transform: uppercase !important;
+          color: #4338ca !important;
+        }
+        
+        .copilot-thread-summary-body p,
+        .copilot-thread-summary-body ul {
+          margin: 0 !important;
+        }
+        
+        .copilot-thread-summary-collapsed .copilot-thread-summary-body {
+          display: none !important;
+        }
+        
+        ::highlight(copilot-rewrite-original) {
+          color: #9ca3af;
+          text-decoration: line-through;
+        }
+        
+        .copilot-tone-chip {
+          position: absolute !important;
+          bottom: 4px !important;
+          right: 8px !important;
+          z-index: 1000 !important;
+          padding: 1px 8px !important;
+          border: 1px solid #d1d5db !important;
+          border-radius: 10px !important;
+          background: white !important;
+          color: #4b5563 !important;
+          font-size: 11px !important;
+          line-height: 16px !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+          cursor: pointer !important;
+          opacity: 0.7 !important;
+        }
+        
+        .copilot-tone-chip:hover {
+          opacity: 1 !important;
+          border-color: #667eea !important;
+        }
+        
+        .copilot-tone-menu {
+          position: absolute !important;
+          bottom: 26px !important;
+          right: 8px !important;
+          z-index: 1001 !important;
+          display: flex !important;
+          flex-direction: column !important;
+          min-width: 140px !important;
+          padding: 4px 0 !important;
+          border-radius: 6px !important;
+          background: white !important;
+          box-shadow: 0 4px 20px rgba(0,0,0,0.15) !important;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif !important;
+        }
+        
+        .copilot-tone-option {
+          padding: 6px 12px !important;
+          border: none !important;
+          background: none !important;
+          color: #374151 !important;
+          font-size: 12px !important;
+          text-align: left !important;
+          cursor: pointer !important;
+        }
+        
+        .copilot-tone-option:hover {
+          background: #f3f4f6 !important;
+        }
+        
+        .copilot-tone-option-active {
+          color: #667eea !important;
+          font-weight: 600 !important;
+        }
       `;
       
       document.head.appendChild(style);
     }
 
     destroy() {
-      this.gmailObserver.stop();
+      this.composeObserver.stop();
       this.suggestionEngine.cancelAllRequests();
       this.ghostRenderer.hideSuggestion();
+      this.toneSelector.cleanup();
+      this.selectionRewriter.cleanup();
+      this.threadSummarizer.cleanup();
+      this.debugOverlay.cleanup();
       
       const styles = document.getElementById('email-copilot-styles');
       if (styles) styles.remove();
@@ -1,4 +1,21 @@
 import React, { useState, useEffect } from 'react';
+import { getProvider, getProviderSettingKeys, listProviders } from '../api/providers/index.js';
+import { DEFAULT_TONE_ID, getAllTones } from '../api/tones.js';
+import { splitSamples, summarizeStyle } from '../api/styleProfile.js';
+import { pickContentSettings } from '../utils/contentSettings.js';
+import {
+  getContentScriptUrlPatterns,
+  getMailClientForUrl,
+  getSitePattern,
+  parseSiteOrigin
+} from '../utils/mailClients.js';
+
+// Kinds of rule that turn suggestions off
+const RULE_TYPES = {
+  site: { label: 'Site', placeholder: 'github.com or *.example.com' },
+  account: { label: 'Account', placeholder: 'u/1 or me@work.example.com' },
+  recipient: { label: 'Recipient', placeholder: '*@legal.example.com' }
+};
 
 const App = () => {
   const [settings, setSettings] = useState({
@@ -6,8 +23,24 @@ const App = () => {
     aiProvider: 'gemini',
     apiKey: '',
     model: 'gemini-1.5-flash',
+    customApiKey: '',
+    customBaseUrl: '',
+    customHeaders: '',
+    customModel: '',
     autoTrigger: true,
-    triggerDelay: 500
+    triggerDelay: 500,
+    fillInMiddle: true,
+    candidateCount: 3,
+    defaultTone: DEFAULT_TONE_ID,
+    customTones: [],
+    useStyleProfile: true,
+    captureSentMail: false,
+    smartReplies: true,
+    longSuggestions: false,
+    debugOverlay: false,
+    fallbackProviders: [],
+    dailyRequestCap: 0,
+    dailyCostCap: 0
   });
   
   const [isLoading, setIsLoading] = useState(true);
@@ -15,6 +48,22 @@ const App = () => {
   const [showSuccess, setShowSuccess] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('unknown');
   const [isTestingConnection, setIsTestingConnection] = useState(false);
+  const [modelLists, setModelLists] = useState({});
+  const [isRefreshingModels, setIsRefreshingModels] = useState(false);
+  const [newTone, setNewTone] = useState({ name: '', instruction: '' });
+  const [styleProfile, setStyleProfile] = useState(null);
+  const [styleSamplesText, setStyleSamplesText] = useState('');
+  const [isUpdatingStyle, setIsUpdatingStyle] = useState(false);
+  const [snippets, setSnippets] = useState([]);
+  const [newSnippet, setNewSnippet] = useState({ name: '', abbreviation: '', body: '' });
+  const [enabledSites, setEnabledSites] = useState([]);
+  const [newSite, setNewSite] = useState('');
+  const [currentSite, setCurrentSite] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState({ type: 'recipient', pattern: '' });
+  const [cacheStats, setCacheStats] = useState(null);
+  const [dailyUsage, setDailyUsage] = useState(null);
+  const [newFallback, setNewFallback] = useState({ provider: '', apiKey: '', model: '' });
 
   // Load settings on component mount
   useEffect(() => {
@@ -24,13 +73,36 @@ const App = () => {
   const loadSettings = async () => {
     try {
       const stored = await chrome.storage.sync.get([
-        'enabled', 'aiProvider', 'apiKey', 'model', 'autoTrigger', 'triggerDelay'
+        'enabled', ...getProviderSettingKeys(), 'autoTrigger', 'triggerDelay', 'fillInMiddle', 'candidateCount',
+        'defaultTone', 'customTones', 'useStyleProfile', 'captureSentMail',
+        'smartReplies', 'longSuggestions', 'debugOverlay', 'fallbackProviders', 'dailyRequestCap', 'dailyCostCap'
       ]);
       
       setSettings(prev => ({
         ...prev,
         ...stored
       }));
+
+      const { modelLists: storedModelLists, styleProfile: storedStyleProfile, snippets: storedSnippets } =
+        await chrome.storage.local.get(['modelLists', 'styleProfile', 'snippets']);
+      setModelLists(storedModelLists || {});
+      setStyleProfile(storedStyleProfile || null);
+      setSnippets(storedSnippets || []);
+
+      const { enabledSites: storedSites, rules: storedRules } = await chrome.storage.sync.get(['enabledSites', 'rules']);
+      setEnabledSites(storedSites || []);
+      setRules(storedRules || []);
+
+      const cacheResponse = await chrome.runtime.sendMessage({ type: 'get_cache_stats' });
+      setCacheStats(cacheResponse?.success ? cacheResponse.stats : null);
+
+      const usageResponse = await chrome.runtime.sendMessage({ type: 'get_daily_usage' });
+      setDailyUsage(usageResponse?.success ? usageResponse.usage : null);
+
+      // Offered as a one-click "enable here" unless it's a mail client
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const activeOrigin = activeTab?.url ? parseSiteOrigin(activeTab.url) : null;
+      setCurrentSite(activeOrigin && !getMailClientForUrl(activeTab.url) ? activeOrigin : null);
     } catch (error) {
       console.error('Failed to load settings:', error);
     } finally {
@@ -38,20 +110,49 @@ const App = () => {
     }
   };
 
+  // Custom endpoints live on arbitrary hosts, so ask for access to the chosen
+  // origin, whether it's the selected provider or a fallback. Must run first
+  // in a click handler to keep the user gesture.
+  const requestEndpointPermission = async () => {
+    const usesCustomEndpoint = settings.aiProvider === 'custom' ||
+      settings.fallbackProviders.some(fallback => fallback.provider === 'custom');
+    if (!usesCustomEndpoint) return true;
+
+    let origin;
+    try {
+      origin = new URL(settings.customBaseUrl).origin;
+    } catch {
+      alert('Please enter a valid base URL for the custom endpoint.');
+      return false;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      alert(`Email Copilot needs access to ${origin} to use the custom endpoint.`);
+    }
+    return granted;
+  };
+
+  const notifyContentScripts = async (message) => {
+    const tabs = await chrome.tabs.query({ url: getContentScriptUrlPatterns(enabledSites) });
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // Ignore errors for tabs without content script
+      });
+    });
+  };
+
   const saveSettings = async () => {
+    if (!(await requestEndpointPermission())) return;
+
     setIsSaving(true);
     try {
       await chrome.storage.sync.set(settings);
       
       // Notify content scripts of settings change
-      const tabs = await chrome.tabs.query({ url: '*://mail.google.com/*' });
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'settings_updated',
-          settings: settings
-        }).catch(() => {
-          // Ignore errors for tabs without content script
-        });
+      await notifyContentScripts({
+        type: 'settings_updated',
+        settings: pickContentSettings(settings)
       });
 
       setShowSuccess(true);
@@ -65,11 +166,14 @@ const App = () => {
   };
 
   const testConnection = async () => {
-    if (!settings.apiKey.trim()) {
+    const provider = getProvider(settings.aiProvider);
+    if (provider.requiresApiKey && !settings[provider.apiKeySetting].trim()) {
       alert('Please enter an API key first.');
       return;
     }
 
+    if (!(await requestEndpointPermission())) return;
+
     setIsTestingConnection(true);
     setConnectionStatus('testing');
 
@@ -80,8 +184,7 @@ const App = () => {
       const response = await chrome.runtime.sendMessage({
         type: 'test_api_connection',
         provider: settings.aiProvider,
-        apiKey: settings.apiKey,
-        model: settings.model
+        settings
       });
 
       setConnectionStatus(response.success ? 'success' : 'error');
@@ -93,6 +196,33 @@ const App = () => {
     }
   };
 
+  const refreshModels = async () => {
+    if (!(await requestEndpointPermission())) return;
+
+    setIsRefreshingModels(true);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'list_models',
+        provider: settings.aiProvider,
+        settings
+      });
+
+      if (!response.success) {
+        alert(`Failed to refresh models: ${response.error}`);
+        return;
+      }
+
+      const updated = { ...modelLists, [settings.aiProvider]: response.models };
+      setModelLists(updated);
+      await chrome.storage.local.set({ modelLists: updated });
+    } catch (error) {
+      console.error('Model refresh failed:', error);
+      alert('Failed to refresh models. Please try again.');
+    } finally {
+      setIsRefreshingModels(false);
+    }
+  };
+
   const handleSettingChange = (key, value) => {
     setSettings(prev => ({
       ...prev,
@@ -101,20 +231,227 @@ const App = () => {
     setConnectionStatus('unknown');
   };
 
+  const addCustomTone = () => {
+    const name = newTone.name.trim();
+    const instruction = newTone.instruction.trim();
+    if (!name || !instruction) return;
+
+    handleSettingChange('customTones', [
+      ...settings.customTones,
+      { id: `custom-${Date.now()}`, name, instruction }
+    ]);
+    setNewTone({ name: '', instruction: '' });
+  };
+
+  // Falls back to the built-in default when the removed tone was the default
+  const removeCustomTone = (toneId) => {
+    setSettings(prev => ({
+      ...prev,
+      customTones: prev.customTones.filter(tone => tone.id !== toneId),
+      defaultTone: prev.defaultTone === toneId ? DEFAULT_TONE_ID : prev.defaultTone
+    }));
+  };
+
+  // Fallbacks are tried in list order when the selected provider fails
+  const addFallback = () => {
+    if (!newFallback.provider) return;
+
+    handleSettingChange('fallbackProviders', [
+      ...settings.fallbackProviders,
+      { provider: newFallback.provider, apiKey: newFallback.apiKey.trim(), model: newFallback.model }
+    ]);
+    setNewFallback({ provider: '', apiKey: '', model: '' });
+  };
+
+  const removeFallback = (index) => {
+    handleSettingChange('fallbackProviders', settings.fallbackProviders.filter((_, position) => position !== index));
+  };
+
+  const moveFallbackUp = (index) => {
+    const updated = [...settings.fallbackProviders];
+    [updated[index - 1], updated[index]] = [updated[index], updated[index - 1]];
+    handleSettingChange('fallbackProviders', updated);
+  };
+
+  const addStyleSamples = async (samples) => {
+    if (!samples.length) return;
+
+    setIsUpdatingStyle(true);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'add_style_samples',
+        source: 'import',
+        samples
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+      setStyleProfile(response.profile);
+      setStyleSamplesText('');
+    } catch (error) {
+      console.error('Failed to add style samples:', error);
+      alert(`Failed to learn from these emails: ${error.message}`);
+    } finally {
+      setIsUpdatingStyle(false);
+    }
+  };
+
+  const importStyleFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+
+    const texts = await Promise.all(files.map(file => file.text()));
+    await addStyleSamples(texts.flatMap(splitSamples));
+  };
+
+  const clearStyleProfile = async () => {
+    if (!confirm('Forget all writing samples and the style learned from them?')) return;
+
+    await chrome.runtime.sendMessage({ type: 'clear_style_profile' });
+    setStyleProfile(null);
+  };
+
+  const clearSuggestionCache = async () => {
+    const response = await chrome.runtime.sendMessage({ type: 'clear_suggestion_cache' });
+    if (response?.success) {
+      setCacheStats(response.stats);
+    }
+  };
+
+  const cacheLookups = cacheStats ? cacheStats.hits + cacheStats.misses : 0;
+
+  // Snippets are saved right away, separately from the settings
+  const saveSnippets = async (updated) => {
+    setSnippets(updated);
+    try {
+      await chrome.storage.local.set({ snippets: updated });
+      await notifyContentScripts({ type: 'snippets_updated', snippets: updated });
+    } catch (error) {
+      console.error('Failed to save snippets:', error);
+      alert('Failed to save snippets. Please try again.');
+    }
+  };
+
+  const snippetError = (() => {
+    const abbreviation = newSnippet.abbreviation.trim();
+    if (/\s/.test(abbreviation)) return 'Abbreviations cannot contain spaces.';
+    if (snippets.some(snippet => snippet.abbreviation === abbreviation)) {
+      return `"${abbreviation}" is already used by another snippet.`;
+    }
+    return null;
+  })();
+
+  const addSnippet = () => {
+    const name = newSnippet.name.trim();
+    const abbreviation = newSnippet.abbreviation.trim();
+    if (!name || !abbreviation || !newSnippet.body.trim() || snippetError) return;
+
+    saveSnippets([
+      ...snippets,
+      { id: `snippet-${Date.now()}`, name, abbreviation, body: newSnippet.body.trim() }
+    ]);
+    setNewSnippet({ name: '', abbreviation: '', body: '' });
+  };
+
+  const removeSnippet = (snippetId) => {
+    saveSnippets(snippets.filter(snippet => snippet.id !== snippetId));
+  };
+
+  // Rules are saved right away, separately from the settings, and sync across devices
+  const saveRules = async (updated) => {
+    setRules(updated);
+    try {
+      await chrome.storage.sync.set({ rules: updated });
+      await notifyContentScripts({ type: 'rules_updated', rules: updated });
+    } catch (error) {
+      console.error('Failed to save rules:', error);
+      alert('Failed to save rules. Please try again.');
+    }
+  };
+
+  const addRule = () => {
+    const pattern = newRule.pattern.trim();
+    if (!pattern) return;
+    if (rules.some(rule => rule.type === newRule.type && rule.pattern === pattern)) {
+      setNewRule(prev => ({ ...prev, pattern: '' }));
+      return;
+    }
+
+    saveRules([...rules, { id: `rule-${Date.now()}`, type: newRule.type, pattern }]);
+    setNewRule(prev => ({ ...prev, pattern: '' }));
+  };
+
+  const removeRule = (ruleId) => {
+    saveRules(rules.filter(rule => rule.id !== ruleId));
+  };
+
+  // The background registers the content script on enabled sites when this changes
+  const saveEnabledSites = async (updated) => {
+    setEnabledSites(updated);
+    try {
+      await chrome.storage.sync.set({ enabledSites: updated });
+    } catch (error) {
+      console.error('Failed to save sites:', error);
+      alert('Failed to save sites. Please try again.');
+    }
+  };
+
+  // Other sites need their host permission, which must be requested first
+  // in the click handler to keep the user gesture
+  const addSite = async (input) => {
+    const origin = parseSiteOrigin(input);
+    if (!origin) {
+      alert('Please enter a site, e.g. github.com.');
+      return;
+    }
+    if (getMailClientForUrl(origin)) {
+      alert(`Email Copilot already runs on ${origin}.`);
+      return;
+    }
+    if (enabledSites.includes(origin)) {
+      setNewSite('');
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [getSitePattern(origin)] });
+    if (!granted) {
+      alert(`Email Copilot needs access to ${origin} to suggest completions there.`);
+      return;
+    }
+
+    await saveEnabledSites([...enabledSites, origin]);
+    setNewSite('');
+  };
+
+  const removeSite = async (origin) => {
+    await saveEnabledSites(enabledSites.filter(site => site !== origin));
+
+    // The custom endpoint may live on the same origin
+    if (parseSiteOrigin(settings.customBaseUrl) !== origin) {
+      await chrome.permissions.remove({ origins: [getSitePattern(origin)] });
+    }
+  };
+
+  // Models are provider-specific now that every provider honours the selection
+  const handleProviderChange = (providerId) => {
+    setSettings(prev => ({
+      ...prev,
+      aiProvider: providerId,
+      model: getProvider(providerId).defaultModel
+    }));
+    setConnectionStatus('unknown');
+  };
+
   const getModelOptions = () => {
-    if (settings.aiProvider === 'gemini') {
-      return [
-        { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash (Recommended)' },
-        { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
-        { value: 'gemini-pro', label: 'Gemini Pro' }
-      ];
-    } else {
-      return [
-        { value: 'gpt-4', label: 'GPT-4 (Recommended)' },
-        { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' },
-        { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' }
-      ];
+    const options = modelLists[settings.aiProvider]?.length
+      ? modelLists[settings.aiProvider]
+      : getProvider(settings.aiProvider).models;
+
+    // Keep the saved model selectable even if the provider no longer lists it
+    if (settings.model && !options.some(option => option.value === settings.model)) {
+      return [{ value: settings.model, label: settings.model }, ...options];
     }
+    return options;
   };
 
   const getConnectionStatusColor = () => {
@@ -144,6 +481,17 @@ const App = () => {
     );
   }
 
+  const provider = getProvider(settings.aiProvider);
+  const apiKey = settings[provider.apiKeySetting];
+
+  // A custom endpoint can only be a fallback once it has been set up
+  const fallbackOptions = listProviders().filter(option =>
+    option.id !== settings.aiProvider &&
+    !settings.fallbackProviders.some(fallback => fallback.provider === option.id) &&
+    (option.id !== 'custom' || settings.customBaseUrl)
+  );
+  const newFallbackProvider = newFallback.provider ? getProvider(newFallback.provider) : null;
+
   return (
     <div className="popup-container">
       {/* Header */}
@@ -171,62 +519,71 @@ const App = () => {
         <div className="setting-group">
           <label className="setting-label">AI Provider</label>
           <div className="provider-options">
-            <label className="radio-option">
-              <input
-                type="radio"
-                name="aiProvider"
-                value="gemini"
-                checked={settings.aiProvider === 'gemini'}
-                onChange={(e) => handleSettingChange('aiProvider', e.target.value)}
-              />
-              <span className="radio-label">
-                <span className="provider-name">Google Gemini</span>
-                <span className="provider-description">Fast and accurate</span>
-              </span>
-            </label>
-            <label className="radio-option">
-              <input
-                type="radio"
-                name="aiProvider"
-                value="openai"
-                checked={settings.aiProvider === 'openai'}
-                onChange={(e) => handleSettingChange('aiProvider', e.target.value)}
-              />
-              <span className="radio-label">
-                <span className="provider-name">OpenAI GPT</span>
-                <span className="provider-description">High quality responses</span>
-              </span>
-            </label>
+            {listProviders().map(provider => (
+              <label key={provider.id} className="radio-option">
+                <input
+                  type="radio"
+                  name="aiProvider"
+                  value={provider.id}
+                  checked={settings.aiProvider === provider.id}
+                  onChange={(e) => handleProviderChange(e.target.value)}
+                />
+                <span className="radio-label">
+                  <span className="provider-name">{provider.name}</span>
+                  <span className="provider-description">{provider.description}</span>
+                </span>
+              </label>
+            ))}
           </div>
         </div>
 
+        {/* Custom Endpoint */}
+        {provider.id === 'custom' && (
+          <div className="setting-group">
+            <label className="setting-label">Endpoint</label>
+            <input
+              type="url"
+              value={settings.customBaseUrl}
+              onChange={(e) => handleSettingChange('customBaseUrl', e.target.value)}
+              placeholder="https://gateway.example.com/v1"
+              className="text-input"
+            />
+            <textarea
+              value={settings.customHeaders}
+              onChange={(e) => handleSettingChange('customHeaders', e.target.value)}
+              placeholder={'Extra headers, one per line\nX-Team: email'}
+              rows={3}
+              className="text-input headers-input"
+            />
+          </div>
+        )}
+
         {/* API Key */}
         <div className="setting-group">
           <label className="setting-label">
-            API Key
-            <a 
-              href={settings.aiProvider === 'gemini' 
-                ? 'https://makersuite.google.com/app/apikey'
-                : 'https://platform.openai.com/api-keys'
-              }
-              target="_blank"
-              rel="noopener noreferrer"
-              className="api-key-link"
-            >
-              Get API Key →
-            </a>
+            {provider.requiresApiKey ? 'API Key' : 'API Key (optional)'}
+            {provider.apiKeyUrl && (
+              <a 
+                href={provider.apiKeyUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="api-key-link"
+              >
+                Get API Key →
+              </a>
+            )}
           </label>
           <div className="api-key-container">
             <input
               type="password"
-              value={settings.apiKey}
-              onChange={(e) => handleSettingChange('apiKey', e.target.value)}
-              placeholder={`Enter your ${settings.aiProvider === 'gemini' ? 'Gemini' : 'OpenAI'} API key`}
+              value={apiKey}
+              onChange={(e) => handleSettingChange(provider.apiKeySetting, e.target.value)}
+              placeholder={`Enter your ${provider.label} API key`}
               className="api-key-input"
             />
             <button
               onClick={testConnection}
-              disabled={!settings.apiKey.trim() || isTestingConnection}
+              disabled={(provider.requiresApiKey && !apiKey.trim()) || isTestingConnection}
               className="test-button"
             >
               {isTestingConnection ? '...' : 'Test'}
@@ -239,18 +596,441 @@ const App = () => {
 
         {/* Model Selection */}
         <div className="setting-group">
-          <label className="setting-label">Model</label>
+          <label className="setting-label">
+            Model
+            <button
+              onClick={refreshModels}
+              disabled={(provider.requiresApiKey && !apiKey.trim()) || isRefreshingModels}
+              className="link-button"
+            >
+              {isRefreshingModels ? 'Refreshing...' : 'Refresh models ↻'}
+            </button>
+          </label>
+          {provider.id === 'custom' ? (
+            <>
+              <input
+                type="text"
+                value={settings.customModel}
+                onChange={(e) => handleSettingChange('customModel', e.target.value)}
+                placeholder="e.g. llama3.1:8b"
+                list="custom-models"
+                className="text-input"
+              />
+              <datalist id="custom-models">
+                {(modelLists.custom || []).map(option => (
+                  <option key={option.value} value={option.value} />
+                ))}
+              </datalist>
+            </>
+          ) : (
+            <select
+              value={settings.model}
+              onChange={(e) => handleSettingChange('model', e.target.value)}
+              className="model-select"
+            >
+              {getModelOptions().map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {/* Fallback Providers */}
+        <div className="setting-group">
+          <label className="setting-label">Fallback Providers</label>
+          <p className="setting-hint">
+            Tried in order when {provider.label} keeps failing or times out. Rate limits and server errors are
+            retried first.
+          </p>
+
+          {settings.fallbackProviders.length > 0 && (
+            <div className="tone-list">
+              {settings.fallbackProviders.map((fallback, index) => {
+                const fallbackProvider = getProvider(fallback.provider);
+                return (
+                  <div key={fallback.provider} className="tone-item">
+                    <div className="tone-info">
+                      <span className="tone-name">{index + 1}. {fallbackProvider.name}</span>
+                      <span className="tone-instruction">
+                        {fallback.model || fallbackProvider.defaultModel || settings.customModel || 'Default model'}
+                        {fallback.provider === settings.aiProvider && ' (skipped while selected above)'}
+                      </span>
+                    </div>
+                    <div className="style-actions">
+                      {index > 0 && (
+                        <button onClick={() => moveFallbackUp(index)} className="link-button">
+                          Move up
+                        </button>
+                      )}
+                      <button onClick={() => removeFallback(index)} className="link-button">
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {fallbackOptions.length > 0 && (
+            <div className="tone-form">
+              <select
+                value={newFallback.provider}
+                onChange={(e) => setNewFallback({ provider: e.target.value, apiKey: '', model: '' })}
+                className="model-select"
+              >
+                <option value="">Choose a provider</option>
+                {fallbackOptions.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              {newFallbackProvider && (
+                <>
+                  <input
+                    type="password"
+                    value={newFallback.apiKey}
+                    onChange={(e) => setNewFallback(prev => ({ ...prev, apiKey: e.target.value }))}
+                    placeholder={`${newFallbackProvider.label} API key${newFallbackProvider.requiresApiKey ? '' : ' (optional)'}`}
+                    className="text-input"
+                  />
+                  {newFallbackProvider.models.length > 0 && (
+                    <select
+                      value={newFallback.model || newFallbackProvider.defaultModel}
+                      onChange={(e) => setNewFallback(prev => ({ ...prev, model: e.target.value }))}
+                      className="model-select"
+                    >
+                      {(modelLists[newFallbackProvider.id]?.length
+                        ? modelLists[newFallbackProvider.id]
+                        : newFallbackProvider.models
+                      ).map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </>
+              )}
+              <button
+                onClick={addFallback}
+                disabled={!newFallbackProvider || (newFallbackProvider.requiresApiKey && !newFallback.apiKey.trim())}
+                className="link-button"
+              >
+                + Add fallback
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Tone */}
+        <div className="setting-group">
+          <label className="setting-label">Tone</label>
           <select
-            value={settings.model}
-            onChange={(e) => handleSettingChange('model', e.target.value)}
+            value={settings.defaultTone}
+            onChange={(e) => handleSettingChange('defaultTone', e.target.value)}
             className="model-select"
           >
-            {getModelOptions().map(option => (
-              <option key={option.value} value={option.value}>
-                {option.label}
+            {getAllTones(settings.customTones).map(tone => (
+              <option key={tone.id} value={tone.id}>
+                {tone.name}
               </option>
             ))}
           </select>
+          <p className="setting-hint">Default for new emails. Change it per email from the tone chip in the compose window.</p>
+
+          {settings.customTones.length > 0 && (
+            <div className="tone-list">
+              {settings.customTones.map(tone => (
+                <div key={tone.id} className="tone-item">
+                  <div className="tone-info">
+                    <span className="tone-name">{tone.name}</span>
+                    <span className="tone-instruction">{tone.instruction}</span>
+                  </div>
+                  <button onClick={() => removeCustomTone(tone.id)} className="link-button">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="tone-form">
+            <input
+              type="text"
+              value={newTone.name}
+              onChange={(e) => setNewTone(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Custom tone name"
+              className="text-input"
+            />
+            <input
+              type="text"
+              value={newTone.instruction}
+              onChange={(e) => setNewTone(prev => ({ ...prev, instruction: e.target.value }))}
+              placeholder="e.g. Upbeat and brief, sign off with Cheers"
+              className="text-input"
+            />
+            <button
+              onClick={addCustomTone}
+              disabled={!newTone.name.trim() || !newTone.instruction.trim()}
+              className="link-button"
+            >
+              + Add tone
+            </button>
+          </div>
+        </div>
+
+        {/* Writing Style */}
+        <div className="setting-group">
+          <label className="setting-label">
+            Writing Style
+            {styleProfile && (
+              <button onClick={clearStyleProfile} className="link-button">
+                Clear
+              </button>
+            )}
+          </label>
+
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.useStyleProfile}
+              onChange={(e) => handleSettingChange('useStyleProfile', e.target.checked)}
+            />
+            <span>Match suggestions to my writing style</span>
+          </label>
+
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.captureSentMail}
+              onChange={(e) => handleSettingChange('captureSentMail', e.target.checked)}
+            />
+            <span>Learn from emails I send</span>
+          </label>
+
+          <p className="setting-hint">
+            {styleProfile
+              ? `Learned from ${styleProfile.sampleCount} email${styleProfile.sampleCount === 1 ? '' : 's'}: ${summarizeStyle(styleProfile)}`
+              : 'No writing samples yet. Paste a few of your own emails below.'}
+          </p>
+
+          <div className="tone-form">
+            <textarea
+              value={styleSamplesText}
+              onChange={(e) => setStyleSamplesText(e.target.value)}
+              placeholder={'Paste emails you wrote, separated by a line of ---'}
+              rows={4}
+              className="text-input headers-input"
+            />
+            <div className="style-actions">
+              <button
+                onClick={() => addStyleSamples(splitSamples(styleSamplesText))}
+                disabled={isUpdatingStyle || !styleSamplesText.trim()}
+                className="link-button"
+              >
+                {isUpdatingStyle ? 'Learning...' : '+ Add samples'}
+              </button>
+              <label className="link-button">
+                Import .txt files
+                <input
+                  type="file"
+                  accept=".txt,text/plain"
+                  multiple
+                  onChange={importStyleFiles}
+                  hidden
+                />
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {/* Snippets */}
+        <div className="setting-group">
+          <label className="setting-label">Snippets</label>
+          <p className="setting-hint">
+            Type an abbreviation and press Tab to insert the snippet. Placeholders:
+            {' {{firstName}}, {{lastName}}, {{fullName}}, {{email}}, {{subject}}, {{date}}, {{day}}, {{time}}'}
+          </p>
+
+          {snippets.length > 0 && (
+            <div className="tone-list">
+              {snippets.map(snippet => (
+                <div key={snippet.id} className="tone-item">
+                  <div className="tone-info">
+                    <span className="tone-name">
+                      {snippet.name} <span className="shortcut-keys">{snippet.abbreviation}</span>
+                    </span>
+                    <span className="tone-instruction">{snippet.body}</span>
+                  </div>
+                  <button onClick={() => removeSnippet(snippet.id)} className="link-button">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="tone-form">
+            <input
+              type="text"
+              value={newSnippet.name}
+              onChange={(e) => setNewSnippet(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Snippet name, e.g. Pricing"
+              className="text-input"
+            />
+            <input
+              type="text"
+              value={newSnippet.abbreviation}
+              onChange={(e) => setNewSnippet(prev => ({ ...prev, abbreviation: e.target.value }))}
+              placeholder="Abbreviation, e.g. ;price"
+              className="text-input"
+            />
+            <textarea
+              value={newSnippet.body}
+              onChange={(e) => setNewSnippet(prev => ({ ...prev, body: e.target.value }))}
+              placeholder={'Hi {{firstName}},\n\nOur pricing starts at...'}
+              rows={4}
+              className="text-input headers-input"
+            />
+            {snippetError && <p className="setting-hint">{snippetError}</p>}
+            <button
+              onClick={addSnippet}
+              disabled={
+                !newSnippet.name.trim() || !newSnippet.abbreviation.trim() ||
+                !newSnippet.body.trim() || Boolean(snippetError)
+              }
+              className="link-button"
+            >
+              + Add snippet
+            </button>
+          </div>
+        </div>
+
+        {/* Other Sites */}
+        <div className="setting-group">
+          <label className="setting-label">Other Sites</label>
+          <p className="setting-hint">
+            Suggestions in text boxes on other sites, such as help desk replies or GitHub comments.
+          </p>
+
+          {enabledSites.length > 0 && (
+            <div className="tone-list">
+              {enabledSites.map(site => (
+                <div key={site} className="tone-item">
+                  <div className="tone-info">
+                    <span className="tone-name">{new URL(site).host}</span>
+                  </div>
+                  <button onClick={() => removeSite(site)} className="link-button">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="tone-form">
+            {currentSite && !enabledSites.includes(currentSite) && (
+              <button onClick={() => addSite(currentSite)} className="link-button">
+                + Enable on {new URL(currentSite).host}
+              </button>
+            )}
+            <input
+              type="text"
+              value={newSite}
+              onChange={(e) => setNewSite(e.target.value)}
+              placeholder="Site, e.g. github.com"
+              className="text-input"
+            />
+            <button onClick={() => addSite(newSite)} disabled={!newSite.trim()} className="link-button">
+              + Add site
+            </button>
+          </div>
+        </div>
+
+        {/* Rules */}
+        <div className="setting-group">
+          <label className="setting-label">Rules</label>
+          <p className="setting-hint">
+            Turn suggestions off on a site, for a Gmail account (u/0, u/1 or its address), or when writing to
+            matching recipients. Use * as a wildcard.
+          </p>
+
+          {rules.length > 0 && (
+            <div className="tone-list">
+              {rules.map(rule => (
+                <div key={rule.id} className="tone-item">
+                  <div className="tone-info">
+                    <span className="tone-name">{RULE_TYPES[rule.type]?.label || rule.type}</span>
+                    <span className="tone-instruction">{rule.pattern}</span>
+                  </div>
+                  <button onClick={() => removeRule(rule.id)} className="link-button">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="tone-form">
+            <select
+              value={newRule.type}
+              onChange={(e) => setNewRule(prev => ({ ...prev, type: e.target.value }))}
+              className="model-select"
+            >
+              {Object.entries(RULE_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newRule.pattern}
+              onChange={(e) => setNewRule(prev => ({ ...prev, pattern: e.target.value }))}
+              placeholder={RULE_TYPES[newRule.type].placeholder}
+              className="text-input"
+            />
+            <button onClick={addRule} disabled={!newRule.pattern.trim()} className="link-button">
+              + Add rule
+            </button>
+          </div>
+        </div>
+
+        {/* Daily Budget */}
+        <div className="setting-group">
+          <label className="setting-label">Daily Budget</label>
+          {dailyUsage && (
+            <p className="setting-hint">
+              Today: {dailyUsage.requests} requests, {dailyUsage.promptTokens + dailyUsage.completionTokens} tokens,
+              about ${dailyUsage.cost.toFixed(2)}
+            </p>
+          )}
+
+          <div className="delay-setting">
+            <label>Requests per day (0 = no limit)</label>
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={settings.dailyRequestCap}
+              onChange={(e) => handleSettingChange('dailyRequestCap', Math.max(0, parseInt(e.target.value) || 0))}
+              className="text-input"
+            />
+          </div>
+
+          <div className="delay-setting">
+            <label>Spending per day in USD (0 = no limit)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={settings.dailyCostCap}
+              onChange={(e) => handleSettingChange('dailyCostCap', Math.max(0, parseFloat(e.target.value) || 0))}
+              className="text-input"
+            />
+          </div>
+          <p className="setting-hint">
+            Suggestions while typing and smart replies pause once a limit is reached, until midnight UTC. Costs are estimated from list
+            prices; self-hosted models count as free.
+          </p>
         </div>
 
         {/* Advanced Settings */}
@@ -266,6 +1046,71 @@ const App = () => {
             <span>Auto-trigger suggestions while typing</span>
           </label>
 
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.fillInMiddle}
+              onChange={(e) => handleSettingChange('fillInMiddle', e.target.checked)}
+            />
+            <span>Suggest insertions when editing mid-text</span>
+          </label>
+
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.longSuggestions}
+              onChange={(e) => handleSettingChange('longSuggestions', e.target.checked)}
+            />
+            <span>Long suggestions (paragraphs and lists)</span>
+          </label>
+
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.smartReplies}
+              onChange={(e) => handleSettingChange('smartReplies', e.target.checked)}
+            />
+            <span>Suggest replies when reading an email</span>
+          </label>
+
+          <label className="checkbox-option">
+            <input
+              type="checkbox"
+              checked={settings.debugOverlay}
+              onChange={(e) => handleSettingChange('debugOverlay', e.target.checked)}
+            />
+            <span>Show debug overlay (e.g. which rule blocked a suggestion)</span>
+          </label>
+
+          {cacheStats && (
+            <div className="style-actions">
+              <p className="setting-hint">
+                Suggestion cache: {cacheStats.entries} saved
+                {cacheLookups > 0 &&
+                  `, ${Math.round((cacheStats.hits / cacheLookups) * 100)}% hit rate (${cacheStats.hits} of ${cacheLookups})`}
+              </p>
+              <button onClick={clearSuggestionCache} className="link-button">
+                Clear cache
+              </button>
+            </div>
+          )}
+
+          <div className="delay-setting">
+            <label>Alternative suggestions: {settings.candidateCount}</label>
+            <input
+              type="range"
+              min="1"
+              max="5"
+              step="1"
+              value={settings.candidateCount}
+              onChange={(e) => handleSettingChange('candidateCount', parseInt(e.target.value))}
+              className="delay-slider"
+            />
+            {provider.maxCandidates < settings.candidateCount && (
+              <p className="setting-hint">{provider.label} returns one suggestion per request.</p>
+            )}
+          </div>
+
           <div className="delay-setting">
             <label>Trigger delay: {settings.triggerDelay}ms</label>
             <input
@@ -288,10 +1133,26 @@ const App = () => {
               <span className="shortcut-keys">Tab</span>
               <span>Accept suggestion</span>
             </div>
+            <div className="shortcut-item">
+              <span className="shortcut-keys">Ctrl + →</span>
+              <span>Accept next word</span>
+            </div>
+            <div className="shortcut-item">
+              <span className="shortcut-keys">Ctrl + Shift + → / End</span>
+              <span>Accept next sentence</span>
+            </div>
             <div className="shortcut-item">
               <span className="shortcut-keys">Esc</span>
               <span>Dismiss suggestion</span>
             </div>
+            <div className="shortcut-item">
+              <span className="shortcut-keys">Alt + ] / Alt + [</span>
+              <span>Next / previous alternative</span>
+            </div>
+            <div className="shortcut-item">
+              <span className="shortcut-keys">Alt + Enter</span>
+              <span>Write a draft from "/draft …"</span>
+            </div>
             <div className="shortcut-item">
               <span className="shortcut-keys">Ctrl + Space</span>
               <span>Manual trigger</span>
@@ -0,0 +1,25 @@
+/**
+ * Settings the content script reads. Only these are sent to mail pages, so
+ * API keys and other provider settings stay in the extension.
+ */
+
+export const CONTENT_SETTING_KEYS = [
+  'enabled',
+  'fillInMiddle',
+  'captureSentMail',
+  'smartReplies',
+  'longSuggestions',
+  'debugOverlay',
+  'rules'
+];
+
+/**
+ * The content script's share of the settings
+ * @param {Object} settings - Saved settings
+ * @returns {Object} - Only the keys in CONTENT_SETTING_KEYS that are set
+ */
+export function pickContentSettings(settings) {
+  return Object.fromEntries(
+    CONTENT_SETTING_KEYS.filter(key => key in settings).map(key => [key, settings[key]])
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * Pages Email Copilot runs on: the mail clients, which must match
+ * manifest.json and the content script's site adapters, and other sites the
+ * user enables from the popup
+ */
+
+/**
+ * @typedef {Object} MailClient
+ * @property {string} id - Identifier shared with the content script's site adapter
+ * @property {string} name - Display name
+ * @property {string[]} urlPatterns - Match patterns for the client's pages
+ */
+
+/** @type {MailClient[]} */
+export const MAIL_CLIENTS = [
+  {
+    id: 'gmail',
+    name: 'Gmail',
+    urlPatterns: ['https://mail.google.com/*', 'https://gmail.com/*']
+  },
+  {
+    id: 'outlook',
+    name: 'Outlook',
+    urlPatterns: [
+      'https://outlook.office.com/*',
+      'https://outlook.office365.com/*',
+      'https://outlook.live.com/*'
+    ]
+  }
+];
+
+// Every page the content script runs on, for chrome.tabs.query
+export const MAIL_CLIENT_URL_PATTERNS = MAIL_CLIENTS.flatMap(client => client.urlPatterns);
+
+/**
+ * The mail client a page belongs to
+ * @param {string} url - Page URL
+ * @returns {MailClient|null}
+ */
+export function getMailClientForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+
+  return MAIL_CLIENTS.find(client =>
+    client.urlPatterns.some(pattern => new URL(pattern.replace('*', '')).hostname === hostname)
+  ) || null;
+}
+
+/**
+ * Origin of a site the user entered, e.g. 'github.com' -> 'https://github.com'
+ * @param {string} input - Hostname or URL
+ * @returns {string|null} - Origin, or null if it isn't a web address
+ */
+export function parseSiteOrigin(input) {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    const isHost = url.hostname.includes('.') || url.hostname === 'localhost';
+    return /^https?:$/.test(url.protocol) && isHost ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match pattern for every page of a site
+ * @param {string} origin - Site origin
+ * @returns {string}
+ */
+export function getSitePattern(origin) {
+  return `${origin}/*`;
+}
+
+/**
+ * Pages the content script runs on: the mail clients plus the other sites
+ * the user enabled it for
+ * @param {string[]} [enabledSites] - Origins enabled in the popup
+ * @returns {string[]}
+ */
+export function getContentScriptUrlPatterns(enabledSites = []) {
+  return [...MAIL_CLIENT_URL_PATTERNS, ...enabledSites.map(getSitePattern)];
+}